@@ -0,0 +1,3486 @@
+'use strict';
+
+/*
+  TextFlow: A lightweight, region-based text flow system for the web.
+  - Loads structured JSON content, or Markdown converted to the same blocks
+  - Converts blocks to DOM elements
+  - Measures and flows content into ordered regions
+  - Respects keep-with-next, orphan/widow protection and forced breaks
+  - Reflows when regions change size (ResizeObserver, debounced)
+
+  A page can run several independent stories: regions join a thread with
+  `data-flow-thread="name"` (default "main") and TextFlowGroup flows one
+  content source per thread.
+
+  Every experiment page loads this one engine. Page-specific differences
+  (flowing into a `.flow-content` wrapper vs. straight into the region, how
+  region space is measured, hiding regions left empty) are options.
+*/
+
+(function () {
+  // One frame at 60fps; flow() flags reflows that take longer than this
+  const FRAME_BUDGET_MS = 1000 / 60;
+
+  /**
+   * Region metrics strategies. Each receives the region and the element
+   * content is flowed into (the wrapper, or the region itself) and returns
+   * the space available to the flow.
+   */
+  const METRICS_STRATEGIES = {
+    // Region box minus its own padding and borders. Used when content is
+    // flowed directly into the region.
+    region(region) {
+      const rect = region.getBoundingClientRect();
+      const styles = getComputedStyle(region);
+
+      const paddingTop = parseFloat(styles.paddingTop) || 0;
+      const paddingBottom = parseFloat(styles.paddingBottom) || 0;
+      const availableHeight = rect.height - paddingTop - paddingBottom;
+
+      const paddingLeft = parseFloat(styles.paddingLeft) || 0;
+      const paddingRight = parseFloat(styles.paddingRight) || 0;
+      const borderLeft = parseFloat(styles.borderLeftWidth) || 0;
+      const borderRight = parseFloat(styles.borderRightWidth) || 0;
+      const innerWidth = rect.width - paddingLeft - paddingRight - borderLeft - borderRight;
+
+      return { availableHeight, innerWidth };
+    },
+
+    // The wrapper is sized by page CSS, so its height is the available height.
+    wrapper(region, wrap) {
+      const rect = wrap.getBoundingClientRect();
+      const styles = getComputedStyle(wrap);
+
+      const availableHeight = rect.height;
+
+      const paddingLeft = parseFloat(styles.paddingLeft) || 0;
+      const paddingRight = parseFloat(styles.paddingRight) || 0;
+      const borderLeft = parseFloat(styles.borderLeftWidth) || 0;
+      const borderRight = parseFloat(styles.borderRightWidth) || 0;
+      const innerWidth = rect.width - paddingLeft - paddingRight - borderLeft - borderRight;
+
+      return { availableHeight, innerWidth };
+    },
+  };
+
+  const OVERFLOW_POLICIES = ['none', 'clone', 'truncate', 'spill'];
+
+  // Print mode page sizes (the `print` option) and an upper bound on pages
+  const PAGE_SIZES = {
+    A4: { width: '210mm', height: '297mm' },
+    Letter: { width: '8.5in', height: '11in' },
+  };
+  const MAX_PRINT_PAGES = 256;
+
+  // Page boxes for print mode. Pages are laid out off-screen before printing;
+  // in print only they are shown, one per sheet
+  const PRINT_STYLES = `
+    .flow-print { position: absolute; left: -99999px; top: 0; }
+    .flow-page {
+      box-sizing: border-box; width: var(--flow-page-width); height: var(--flow-page-height);
+      padding: 14mm 18mm 12mm; display: flex; flex-direction: column; overflow: hidden;
+      background: #fff; color: #000; break-after: page;
+    }
+    .flow-page:last-child { break-after: auto; }
+    .flow-page-header, .flow-page-footer { flex: none; font-size: 8.5pt; letter-spacing: 0.04em; }
+    .flow-page-header { padding-bottom: 3mm; margin-bottom: 6mm; border-bottom: 0.5pt solid currentColor; }
+    .flow-page-footer { margin-top: 6mm; text-align: center; }
+    .flow-page-body { flex: 1; min-height: 0; }
+    .flow-page-body img { max-width: 100%; height: auto; }
+    @media print {
+      html, body {
+        height: auto !important; overflow: visible !important;
+        margin: 0 !important; padding: 0 !important; background: #fff !important;
+      }
+      body > :not(.flow-print) { display: none !important; }
+      .flow-print { position: static; }
+    }
+  `;
+
+  // The reading copy is visually hidden until keyboard focus enters it; then
+  // it shows as a panel along the bottom of the viewport, so the focused link
+  // is seen with its focus ring
+  const READING_COPY_STYLES = `
+    .flow-reading-copy:not(:focus-within) {
+      position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0;
+      overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;
+    }
+    .flow-reading-copy:focus-within {
+      position: fixed; left: 0; right: 0; bottom: 0; z-index: 1000; max-height: 40vh;
+      overflow: auto; padding: 1rem 1.5rem; background: Canvas; color: CanvasText;
+      box-shadow: 0 -2px 12px rgba(0, 0, 0, 0.25);
+    }
+  `;
+
+  // How long the region holding a linked block stays marked `data-flow-target`
+  const TARGET_HIGHLIGHT_MS = 2000;
+
+  // Alt+Shift+D toggles the debug overlay (matched on the physical key, as
+  // Alt changes the character on some layouts)
+  const OVERLAY_SHORTCUT = { altKey: true, shiftKey: true, code: 'KeyD' };
+
+  // 'greedy' packs each region full; 'balance' evens out sibling regions
+  // (columns) that the content ends in
+  const FILL_MODES = ['greedy', 'balance'];
+
+  // Block types that may break across regions: paragraphs between words,
+  // lists between items and code between lines
+  const SPLITTABLE_TYPES = ['paragraph', 'list', 'code'];
+
+  // Lines a drop cap spans when `dropCap` is just `true`
+  const DEFAULT_DROP_CAP_LINES = 3;
+
+  // What keyboard focus can land on inside rendered content
+  const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+  // Gap left by two adjoining vertical margins once they collapse
+  function collapseMargins(a, b) {
+    return Math.max(a, b, 0) + Math.min(a, b, 0);
+  }
+
+  /*
+    Measurers turn rendered blocks into heights, so the flow algorithm never
+    touches layout itself. Every measurer implements:
+
+      setWidth(px)       width of the region about to be filled
+      box(el)            { height, marginTop, marginBottom } of one block
+      stackHeight(els)   height of blocks stacked, outer margins included
+      lineHeight(el)     px per line of a text block
+      lines(el)          lines the text block's current content wraps to
+
+    and may add hyphenationPoints(word, lang) and attach(flow) (called once
+    by the TextFlow using it). Elements are detached renderings; measurers
+    must not keep or move them.
+  */
+
+  /**
+   * Lays blocks out in a hidden sandbox inside the region being filled, so
+   * page CSS, shapes and margin collapsing apply exactly. The default.
+   */
+  class DomMeasurer {
+    attach(flow) {
+      this.flow = flow;
+      this.lineHeights = new WeakMap();
+    }
+
+    setWidth(width) {
+      this.flow.sandbox.style.width = `${width}px`;
+    }
+
+    // Fresh measure host (with the region's exclusions replayed) holding `nodes`
+    mount(nodes) {
+      if (!this.flow.sandbox) this.flow.createSandbox();
+      this.flow.resetMeasureHost();
+      nodes.forEach((n) => this.flow.measureHost.appendChild(n));
+      return this.flow.measureHost;
+    }
+
+    // Top edge of a sentinel after the content: the end of the content,
+    // past the last element's bottom margin. Replayed exclusion floats
+    // would stretch the host's own height.
+    end() {
+      const end = document.createElement('div');
+      end.style.height = '1px';
+      this.flow.measureHost.appendChild(end);
+      return end.getBoundingClientRect().top;
+    }
+
+    box(node) {
+      const el = node.cloneNode(true);
+      const hostTop = this.mount([el]).getBoundingClientRect().top;
+      const rect = el.getBoundingClientRect();
+      return { height: rect.height, marginTop: rect.top - hostTop, marginBottom: this.end() - rect.bottom };
+    }
+
+    stackHeight(nodes) {
+      const host = this.mount(nodes.map((n) => n.cloneNode(true)));
+      return this.end() - host.getBoundingClientRect().top;
+    }
+
+    // Text blocks are measured in place: split searches re-measure the same
+    // element with different content many times
+    lineHeight(el) {
+      if (el.parentNode !== this.flow.measureHost) this.mount([el]);
+      if (!this.lineHeights.has(el)) {
+        const cs = getComputedStyle(el);
+        const fontSize = parseFloat(cs.fontSize) || 16;
+        // 'normal' has no computed px value; 1.2em is the usual rendering
+        this.lineHeights.set(el, cs.lineHeight.endsWith('px') ? parseFloat(cs.lineHeight) : 1.2 * fontSize);
+      }
+      return this.lineHeights.get(el);
+    }
+
+    lines(el) {
+      const lineHeight = this.lineHeight(el);
+      return Math.ceil(el.getBoundingClientRect().height / lineHeight);
+    }
+
+    /**
+     * Legal break offsets inside `word`. The browser hyphenates the word in a
+     * 1px wide probe (which also honours authored soft hyphens), and each
+     * line box start is a break point.
+     */
+    hyphenationPoints(word, lang) {
+      const probe = document.createElement('div');
+      probe.lang = lang;
+      probe.style.width = '1px';
+      probe.style.hyphens = 'auto';
+      probe.style.webkitHyphens = 'auto';
+      probe.style.overflowWrap = 'normal';
+      probe.style.wordBreak = 'normal';
+      probe.textContent = word;
+      this.flow.sandbox.appendChild(probe);
+
+      const points = [];
+      const textNode = probe.firstChild;
+      const range = document.createRange();
+      let prevTop = null;
+      for (let i = 0; i < word.length; i++) {
+        range.setStart(textNode, i);
+        range.setEnd(textNode, i + 1);
+        const rect = range.getClientRects()[0];
+        if (!rect) continue;
+        if (prevTop !== null && rect.top > prevTop + 1) points.push(i);
+        prevTop = rect.top;
+      }
+      this.flow.sandbox.removeChild(probe);
+      return points;
+    }
+  }
+
+  /*
+    Line-break opportunities. Lines break at breakable whitespace and, in
+    scripts written without spaces (CJK, kana, Thai, Lao, Khmer, Myanmar),
+    between words, but never before closing or after opening punctuation.
+    No-break spaces and joiners hold their neighbours together.
+  */
+  const CJK = /[\u2E80-\u2FFF\u3000-\u30FF\u3100-\u312F\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+  const NO_SPACE_SCRIPT = new RegExp(`${CJK.source}|[\\u0E00-\\u0EFF\\u1000-\\u109F\\u1780-\\u17FF]`);
+  const BREAKABLE_SPACE = /[^\S\u00A0\u2007\u202F\u2060\uFEFF]/;
+  const NO_BREAK_BEFORE = /^[)\]}»›”’、。，．・：；！？ー々〉》」』】〕〗〙〛）］｝…‥]/;
+  const NO_BREAK_AFTER = /[(\[{«‹“‘〈《「『【〔〖〘〚（［｛]$/;
+  const FALLBACK_SEGMENT = new RegExp(`\\s+|${CJK.source}|(?:(?!${CJK.source})\\S)+`, 'g');
+  const segmenters = new Map();
+
+  // Word segments of `text`, from Intl.Segmenter for `lang` where available.
+  // Without it, whitespace runs and single CJK characters (Thai and the like
+  // need a dictionary, so their runs stay whole).
+  function segmentText(text, lang) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+      return Array.from(text.matchAll(FALLBACK_SEGMENT), (m) => ({ segment: m[0], index: m.index }));
+    }
+    if (!segmenters.has(lang)) {
+      let segmenter;
+      try {
+        segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+      } catch (_) {
+        // Not a valid language tag
+        segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+      }
+      segmenters.set(lang, segmenter);
+    }
+    return Array.from(segmenters.get(lang).segment(text), ({ segment, index }) => ({ segment, index }));
+  }
+
+  /**
+   * Character ranges of `text` a line can't break inside, in order. The
+   * whitespace a line breaks at lies between units and belongs to neither.
+   * @returns {{start: number, end: number}[]}
+   */
+  function breakUnits(text, lang) {
+    const units = [];
+    let current = null;
+    let spaced = false;
+    let prev = '';
+    segmentText(text, lang).forEach(({ segment, index }) => {
+      if (!/\S/.test(segment) && BREAKABLE_SPACE.test(segment)) {
+        spaced = true;
+        return;
+      }
+      const between = (NO_SPACE_SCRIPT.test(prev.slice(-1)) || NO_SPACE_SCRIPT.test(segment[0])) &&
+        !NO_BREAK_BEFORE.test(segment) && !NO_BREAK_AFTER.test(prev);
+      if (!current || spaced || between) {
+        current = { start: index, end: index + segment.length };
+        units.push(current);
+      } else {
+        current.end = index + segment.length;
+      }
+      spaced = false;
+      prev = segment;
+    });
+    return units;
+  }
+
+  // Elements whose text wraps into lines; anything else stacks its children
+  const TEXT_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'PRE', 'FIGCAPTION', 'CITE', 'BUTTON'];
+
+  /**
+   * Base for measurers that lay text out arithmetically instead of asking the
+   * browser: greedy word wrap at the region width, one line height per text
+   * element and simple margin collapsing between siblings. Inline markup is
+   * measured in its block's font; shapes and drop caps are not modelled.
+   * Subclasses provide style(el) and wordWidth(word, style).
+   */
+  class LineModelMeasurer {
+    constructor() {
+      this.width = 0;
+    }
+
+    attach(flow) {
+      this.flow = flow;
+    }
+
+    setWidth(width) {
+      this.width = width;
+    }
+
+    box(el) {
+      const { marginTop, marginBottom } = this.style(el);
+      return { height: this.contentHeight(el, this.width), marginTop, marginBottom };
+    }
+
+    stackHeight(nodes) {
+      return this.stack(nodes, this.width, true);
+    }
+
+    lineHeight(el) {
+      return this.style(el).lineHeight;
+    }
+
+    lines(el) {
+      return this.countLines(el, this.width);
+    }
+
+    contentHeight(el, width) {
+      if (TEXT_TAGS.includes(el.tagName)) return this.countLines(el, width) * this.style(el).lineHeight;
+      if (el.tagName === 'IMG') {
+        const w = Number(el.getAttribute('width'));
+        const h = Number(el.getAttribute('height'));
+        return w && h ? Math.min(w, width) * (h / w) : h;
+      }
+      if (el.tagName === 'HR') return 1;
+      return this.stack(Array.from(el.children), width - this.style(el).indent, false);
+    }
+
+    // Children stacked with collapsed sibling margins; the outer margins only
+    // count when `outer` (they collapse through a parent otherwise)
+    stack(nodes, width, outer) {
+      let height = 0;
+      let margin = null;
+      nodes.forEach((node) => {
+        const { marginTop, marginBottom } = this.style(node);
+        height += margin === null ? (outer ? marginTop : 0) : collapseMargins(margin, marginTop);
+        height += this.contentHeight(node, width);
+        margin = marginBottom;
+      });
+      return height + (outer && margin !== null ? margin : 0);
+    }
+
+    countLines(el, width) {
+      const style = this.style(el);
+      const avail = Math.max(1, width - style.indent);
+      // Preformatted text keeps its own line breaks and wraps within them
+      const lines = el.tagName === 'PRE' ? el.textContent.split('\n') : [el.textContent];
+      const space = this.wordWidth(' ', style);
+      const lang = this.flow ? this.flow.lang : undefined;
+      let count = 0;
+      lines.forEach((line) => {
+        const units = breakUnits(line, lang);
+        let lineCount = 1;
+        let x = 0;
+        units.forEach((unit, k) => {
+          const w = this.wordWidth(line.slice(unit.start, unit.end), style);
+          // Units of unspaced scripts sit flush against each other
+          const gap = k > 0 && unit.start > units[k - 1].end ? space : 0;
+          if (x === 0) {
+            x = w;
+          } else if (x + gap + w <= avail) {
+            x += gap + w;
+          } else {
+            lineCount++;
+            x = w;
+          }
+        });
+        count += units.length === 0 && el.tagName !== 'PRE' ? 0 : lineCount;
+      });
+      return count;
+    }
+  }
+
+  /**
+   * Deterministic metrics for tests and headless runs: every character is
+   * `charWidth` wide, and line heights, margins and list/quote indents come
+   * from per-tag tables (lowercase tag names, `default` as the fallback).
+   */
+  class FixedMetricsMeasurer extends LineModelMeasurer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.charWidth=8]
+     * @param {Object<string, number>} [options.lineHeights] - e.g. `{ default: 20, h2: 30 }`
+     * @param {Object<string, number[]>} [options.margins] - `[top, bottom]` per tag
+     * @param {Object<string, number>} [options.indents] - Horizontal indent per tag
+     */
+    constructor(options = {}) {
+      super();
+      this.charWidth = options.charWidth || 8;
+      this.lineHeights = { default: 20, h2: 30, h3: 26, h4: 24, ...options.lineHeights };
+      this.margins = { ...options.margins };
+      this.indents = { ol: 24, ul: 24, blockquote: 16, ...options.indents };
+    }
+
+    style(el) {
+      const tag = el.tagName.toLowerCase();
+      const [marginTop, marginBottom] = this.margins[tag] || this.margins.default || [0, 0];
+      const lineHeight = this.lineHeights[tag] || this.lineHeights.default;
+      return { lineHeight, marginTop, marginBottom, indent: this.indents[tag] || 0 };
+    }
+
+    wordWidth(word) {
+      return word.length * this.charWidth;
+    }
+  }
+
+  /**
+   * Measures words with canvas `measureText` in the fonts page CSS gives each
+   * kind of element. Styles are read once per tag and class from a sample
+   * rendered in the region's sandbox, so it needs no layout per measurement.
+   */
+  class CanvasMeasurer extends LineModelMeasurer {
+    constructor() {
+      super();
+      this.styles = new Map();
+      this.widths = new Map();
+      const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+      this.ctx = canvas.getContext('2d');
+    }
+
+    setWidth(width) {
+      super.setWidth(width);
+      // Region-scoped CSS can change fonts from one region to the next
+      this.styles.clear();
+      this.flow.sandbox.style.width = `${width}px`;
+    }
+
+    style(el) {
+      const key = `${el.tagName}.${el.className}`;
+      if (!this.styles.has(key)) {
+        if (!this.flow.sandbox) this.flow.createSandbox();
+        const sample = el.cloneNode(false);
+        this.flow.resetMeasureHost();
+        this.flow.measureHost.appendChild(sample);
+        const cs = getComputedStyle(sample);
+        const fontSize = parseFloat(cs.fontSize) || 16;
+        this.styles.set(key, {
+          font: cs.font || `${cs.fontStyle} ${cs.fontWeight} ${cs.fontSize} ${cs.fontFamily}`,
+          lineHeight: cs.lineHeight.endsWith('px') ? parseFloat(cs.lineHeight) : 1.2 * fontSize,
+          marginTop: parseFloat(cs.marginTop) || 0,
+          marginBottom: parseFloat(cs.marginBottom) || 0,
+          indent: (parseFloat(cs.paddingLeft) || 0) + (parseFloat(cs.paddingRight) || 0) + (parseFloat(cs.borderLeftWidth) || 0),
+        });
+        sample.remove();
+      }
+      return this.styles.get(key);
+    }
+
+    wordWidth(word, style) {
+      const key = `${style.font}|${word}`;
+      if (!this.widths.has(key)) {
+        this.ctx.font = style.font;
+        this.widths.set(key, this.ctx.measureText(word).width);
+      }
+      return this.widths.get(key);
+    }
+  }
+
+  const MEASURERS = {
+    dom: () => new DomMeasurer(),
+    canvas: () => new CanvasMeasurer(),
+    fixed: () => new FixedMetricsMeasurer(),
+  };
+
+  /*
+    Content schema. Each field names a check in FIELD_CHECKS; `required`
+    fields must be present and anything not listed is reported as an unknown
+    field. Problems carry JSON-pointer paths such as `/blocks/3/level`.
+  */
+  const FIELD_CHECKS = {
+    array: (v) => Array.isArray(v) || 'must be an array',
+    string: (v) => typeof v === 'string' || 'must be a string',
+    boolean: (v) => typeof v === 'boolean' || 'must be true or false',
+    number: (v) => (typeof v === 'number' && Number.isFinite(v)) || 'must be a number',
+    integer: (v) => Number.isInteger(v) || 'must be an integer',
+    positiveInt: (v) => (Number.isInteger(v) && v > 0) || 'must be a positive integer',
+    stringArray: (v) => (Array.isArray(v) && v.length > 0 && v.every((item) => typeof item === 'string')) || 'must be a non-empty array of strings',
+    lineCount: (v) => (Number.isInteger(v) && v >= 1) || 'must be a whole number of lines (1 or more)',
+    dropCap: (v) => typeof v === 'boolean' || (Number.isInteger(v) && v >= 2) || 'must be true or a number of lines (2 or more)',
+    headingLevel: (v) => (Number.isInteger(v) && v >= 1 && v <= 6) || 'must be an integer from 1 to 6',
+  };
+
+  const CONTENT_SCHEMA = {
+    root: {
+      fields: { title: 'string', lang: 'string', hyphenate: 'boolean', blocks: 'array' },
+      required: ['blocks'],
+    },
+    // Fields every block type accepts
+    block: {
+      id: 'string',
+      type: 'string',
+      keepWithNext: 'boolean',
+      breakBefore: 'boolean',
+      breakAfter: 'boolean',
+      fallbackOnly: 'boolean',
+      orphanProtection: 'lineCount',
+      widowProtection: 'lineCount',
+    },
+    types: {
+      heading: { fields: { text: 'string', level: 'headingLevel' }, required: ['text'] },
+      paragraph: { fields: { text: 'string', dropCap: 'dropCap' }, required: ['text'] },
+      pullquote: { fields: { text: 'string', pinToRegion: 'number' }, required: ['text'] },
+      blockquote: { fields: { text: 'string', attribution: 'string' }, required: ['text'] },
+      image: { fields: { src: 'string', alt: 'string', caption: 'string', width: 'positiveInt', height: 'positiveInt' }, required: ['src', 'alt'] },
+      divider: { fields: {}, required: [] },
+      list: { fields: { items: 'stringArray', ordered: 'boolean', start: 'integer' }, required: ['items'] },
+      code: { fields: { text: 'string', language: 'string' }, required: ['text'] },
+    },
+  };
+
+  class ContentError extends Error {
+    /**
+     * @param {string} message
+     * @param {Array<{severity: string, path: string, message: string}>} problems
+     */
+    constructor(message, problems) {
+      super(message);
+      this.name = 'ContentError';
+      this.problems = problems;
+    }
+  }
+
+  function pointer(...parts) {
+    return parts.map((p) => `/${String(p).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+  }
+
+  function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const tmp = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = tmp;
+      }
+    }
+    return row[b.length];
+  }
+
+  function suggestion(value, options) {
+    const close = options.find((o) => editDistance(String(value).toLowerCase(), o) <= 2);
+    return close ? ` (did you mean "${close}"?)` : '';
+  }
+
+  /**
+   * Checks `obj` against a field spec, reporting bad values, missing required
+   * fields and unknown fields.
+   * @returns {number} Number of errors found
+   */
+  function checkFields(obj, fields, required, path, report) {
+    let errors = 0;
+    Object.keys(obj).forEach((key) => {
+      const kind = fields[key];
+      if (!kind) {
+        report('warning', path + pointer(key), `unknown field "${key}"${suggestion(key, Object.keys(fields))}`);
+        return;
+      }
+      const result = FIELD_CHECKS[kind](obj[key]);
+      if (result !== true) {
+        report('error', path + pointer(key), result);
+        errors++;
+      }
+    });
+    required.forEach((key) => {
+      if (obj[key] === undefined) {
+        report('error', path + pointer(key), 'is required');
+        errors++;
+      }
+    });
+    return errors;
+  }
+
+  /*
+    Markdown content source. Supports the subset our articles use: ATX
+    headings, paragraphs, links, emphasis, inline code, block quotes (a last
+    line starting with a dash is the attribution), standalone images (the
+    link title is the caption) and horizontal rules. Raw inline HTML passes
+    through. Any block can end with `{#id}`; otherwise ids are `<type>-<n>`.
+
+    Front matter is a small YAML subset (nested maps, scalars):
+
+      ---
+      title: Page Title
+      lang: en
+      defaults:
+        heading:
+          keepWithNext: true
+      blocks:
+        heading-1:
+          breakBefore: true
+      ---
+  */
+
+  function parseScalar(value) {
+    const v = value.trim();
+    if (/^(['"]).*\1$/.test(v)) return v.slice(1, -1);
+    if (v === 'true') return true;
+    if (v === 'false') return false;
+    if (v === 'null' || v === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+    return v;
+  }
+
+  function parseFrontMatter(src) {
+    const root = {};
+    const stack = [{ indent: -1, obj: root }];
+    src.split('\n').forEach((raw) => {
+      const line = raw.replace(/\s+$/, '');
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      const match = /^(\s*)([^:]+):(.*)$/.exec(line);
+      if (!match) return;
+      const indent = match[1].length;
+      while (indent <= stack[stack.length - 1].indent) stack.pop();
+      const parent = stack[stack.length - 1].obj;
+      const key = match[2].trim();
+      if (match[3].trim() === '') {
+        parent[key] = {};
+        stack.push({ indent, obj: parent[key] });
+      } else {
+        parent[key] = parseScalar(match[3]);
+      }
+    });
+    return root;
+  }
+
+  function escapeAttr(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  function renderInlineMarkdown(text) {
+    // Code spans, escapes, images, links and raw tags are stashed behind
+    // placeholders first, so emphasis never reaches into code, URLs or attributes
+    const stash = [];
+    const hold = (html) => {
+      stash.push(html);
+      return `\u0000${stash.length - 1}\u0000`;
+    };
+    const emphasis = (s) => s
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+    let out = text
+      .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</code>`))
+      .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, (_, ch) => hold(ch))
+      .replace(/<[^>]+>/g, (tag) => hold(tag))
+      // Before links, or `![alt](src)` would become a link after a "!"
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (_, alt, src, title) => hold(
+        `<img src="${escapeAttr(src)}" alt="${escapeAttr(alt)}"${title ? ` title="${escapeAttr(title)}"` : ''}>`
+      ))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (_, label, href, title) => hold(
+        `<a href="${escapeAttr(href)}"${title ? ` title="${escapeAttr(title)}"` : ''}>${emphasis(label)}</a>`
+      ));
+    out = emphasis(out);
+    // Placeholders can nest (a stashed tag inside a link label)
+    while (/\u0000\d+\u0000/.test(out)) {
+      out = out.replace(/\u0000(\d+)\u0000/g, (_, i) => stash[Number(i)]);
+    }
+    return out;
+  }
+
+  /**
+   * Converts Markdown (with optional front matter) to the JSON content model.
+   * @param {string} source
+   * @returns {{title?: string, lang?: string, blocks: Object[]}}
+   */
+  function parseMarkdown(source) {
+    let body = source.replace(/\r\n?/g, '\n');
+    let meta = {};
+    const fm = /^---\n([\s\S]*?)\n---\n?/.exec(body);
+    if (fm) {
+      meta = parseFrontMatter(fm[1]);
+      body = body.slice(fm[0].length);
+    }
+
+    const defaults = meta.defaults || {};
+    const hints = meta.blocks || {};
+    const counters = {};
+    const blocks = [];
+
+    const push = (type, fields, rawId) => {
+      counters[type] = (counters[type] || 0) + 1;
+      const id = rawId || `${type}-${counters[type]}`;
+      blocks.push({ id, type, ...(defaults[type] || {}), ...fields, ...(hints[id] || {}) });
+    };
+
+    // Fenced code may contain blank lines, so it is lifted out before the
+    // body is split into blocks
+    const fences = [];
+    body = body.replace(/^```([\w+-]*)[ \t]*\n([\s\S]*?)\n?```[ \t]*(\{#[\w-]+\})?[ \t]*$/gm, (_, language, code, idSuffix) => {
+      fences.push({ language, code });
+      return `\n\n\u0000${fences.length - 1}\u0000${idSuffix || ''}\n\n`;
+    });
+
+    body.split(/\n\s*\n/).forEach((chunk) => {
+      let text = chunk.trim();
+      if (!text) return;
+
+      let id = null;
+      const idMatch = /\s*\{#([\w-]+)\}$/.exec(text);
+      if (idMatch) {
+        id = idMatch[1];
+        text = text.slice(0, idMatch.index);
+      }
+
+      const fence = /^\u0000(\d+)\u0000$/.exec(text);
+      if (fence) {
+        const { language, code } = fences[Number(fence[1])];
+        push('code', language ? { language, text: code } : { text: code }, id);
+        return;
+      }
+
+      const heading = /^(#{1,6})\s+(.*)$/.exec(text);
+      if (heading && !text.includes('\n')) {
+        push('heading', { level: heading[1].length, text: renderInlineMarkdown(heading[2].replace(/\s+#+$/, '')) }, id);
+        return;
+      }
+
+      if (/^([-*_])(\s*\1){2,}$/.test(text)) {
+        push('divider', {}, id);
+        return;
+      }
+
+      const image = /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/.exec(text);
+      if (image) {
+        const fields = { src: image[2], alt: image[1] };
+        if (image[3]) fields.caption = renderInlineMarkdown(image[3]);
+        push('image', fields, id);
+        return;
+      }
+
+      const lines = text.split('\n');
+      const marker = /^([-*+]|(\d+)[.)])\s+/;
+      const first = marker.exec(lines[0]);
+      if (first && lines.every((line) => marker.test(line) || /^\s+\S/.test(line))) {
+        // Indented lines continue the item above them
+        const items = [];
+        lines.forEach((line) => {
+          if (marker.test(line)) items.push(line.replace(marker, ''));
+          else items[items.length - 1] += ` ${line.trim()}`;
+        });
+        const fields = { items: items.map((item) => renderInlineMarkdown(item.trim())) };
+        if (first[2] !== undefined) {
+          fields.ordered = true;
+          if (Number(first[2]) !== 1) fields.start = Number(first[2]);
+        }
+        push('list', fields, id);
+        return;
+      }
+
+      if (lines.every((line) => line.startsWith('>'))) {
+        const quoteLines = lines.map((line) => line.replace(/^>\s?/, ''));
+        const fields = {};
+        const last = quoteLines[quoteLines.length - 1];
+        if (quoteLines.length > 1 && /^(--|—|–)\s*/.test(last)) {
+          fields.attribution = renderInlineMarkdown(last.replace(/^(--|—|–)\s*/, ''));
+          quoteLines.pop();
+        }
+        fields.text = renderInlineMarkdown(quoteLines.join(' ').trim());
+        push('blockquote', fields, id);
+        return;
+      }
+
+      push('paragraph', { text: renderInlineMarkdown(lines.map((l) => l.trim()).join(' ')) }, id);
+    });
+
+    const content = { blocks };
+    ['title', 'lang', 'hyphenate'].forEach((key) => {
+      if (meta[key] !== undefined) content[key] = meta[key];
+    });
+    return content;
+  }
+
+  class TextFlow extends EventTarget {
+    /**
+     * @param {Object} options
+     * @param {string} options.regionSelector - CSS selector for regions
+     * @param {string} options.contentUrl - URL to JSON or Markdown content
+     * @param {string} [options.format] - 'json' or 'markdown'. Defaults to
+     *   'markdown' for .md/.markdown URLs, otherwise 'json'
+     * @param {Element|Document} [options.root=document] - Where regions are looked up
+     * @param {string} [options.media] - Media query for flowed mode. While it
+     *   doesn't match, content is rendered linearly into fallbackContainer and
+     *   the regions are hidden; TextFlow switches by itself when it changes
+     * @param {string|Element} [options.fallbackContainer] - Target for the linear
+     *   rendering. Defaults to overflowContainer
+     * @param {string} [options.thread='main'] - Only flow into regions whose
+     *   `data-flow-thread` matches (regions without the attribute are "main")
+     * @param {string|null} [options.wrapperSelector=null] - Flow into this child of each
+     *   region (created if missing) instead of into the region itself
+     * @param {string|Object} [options.measurer='dom'] - How blocks are measured:
+     *   'dom', 'canvas', 'fixed', or a measurer object (see DomMeasurer)
+     * @param {string|Function} [options.metrics] - 'region', 'wrapper', or a
+     *   `(region, wrap) => ({ availableHeight, innerWidth })` function. Defaults to
+     *   'wrapper' when a wrapperSelector is set, otherwise 'region'
+     * @param {boolean} [options.hideEmptyRegions=false] - Hide regions that receive no content
+     * @param {boolean} [options.hyphenate] - Split words across regions at legal
+     *   hyphenation points. Defaults to the content's `hyphenate` flag
+     * @param {string} [options.lang] - Language used for hyphenation. Defaults to
+     *   the content's `lang`, then the document's
+     * @param {string} [options.overflow='none'] - What to do with content left after the
+     *   last region: 'none' (drop it), 'clone' (clone a template region and keep
+     *   flowing), 'truncate' (ellipsis plus a "continue reading" expander) or
+     *   'spill' (render the rest linearly into overflowContainer)
+     * @param {string} [options.overflowTemplate] - Selector for the region (or
+     *   `<template>`) cloned by 'clone'. Defaults to the last region
+     * @param {string|Element} [options.overflowContainer] - Where 'spill' renders the
+     *   remainder, and where 'truncate' expands into
+     * @param {string} [options.overflowLabel='Continue reading'] - Expander label for 'truncate'
+     * @param {number} [options.maxClonedRegions=20] - Upper bound on regions added by 'clone'
+     * @param {string} [options.fill='greedy'] - 'greedy' or 'balance' (content that
+     *   ends in a row of sibling regions is spread to end at about the same
+     *   height). A regions' parent can override it with `data-flow-fill`
+     * @param {number|boolean} [options.baseline] - Baseline grid in px, or `true`
+     *   to read `--flow-baseline` from each region's styles
+     * @param {boolean|number} [options.dropCap=false] - Give the story's first
+     *   paragraph a drop cap spanning this many lines (`true` for 3)
+     * @param {boolean} [options.dev] - Show content problems in an on-page panel.
+     *   Defaults to true on localhost, file:// and with `?flowdev` in the URL
+     * @param {string|boolean} [options.print='A4'] - Page size for print mode,
+     *   'A4' or 'Letter'; false leaves printing to the page's own CSS
+     * @param {boolean} [options.permalinks=false] - Give paragraphs and headings
+     *   a link that copies the URL of that block
+     * @param {boolean} [options.readingCopy=true] - Give assistive tech one
+     *   visually hidden linear copy of the story instead of the fragments
+     * @param {boolean} [options.overlay] - Draw the debug overlay over the regions.
+     *   Defaults to true with `?flowdebug` in the URL; Alt+Shift+D toggles it
+     * @param {boolean} [options.debug=false] - Enable verbose logging
+     * @param {number} [options.debounceMs=150] - Reflow debounce interval
+     */
+    constructor(options) {
+      super();
+      this.regionSelector = options.regionSelector || '.region';
+      this.root = options.root || document;
+      this.media = options.media || null;
+      this.fallbackContainer = options.fallbackContainer || options.overflowContainer || null;
+      this.contentUrl = options.contentUrl;
+      this.format = options.format || null;
+      this.thread = options.thread || 'main';
+      this.wrapperSelector = options.wrapperSelector || null;
+      this.metrics = this.resolveMetrics(options.metrics);
+      this.measurer = this.resolveMeasurer(options.measurer);
+      this.hideEmpty = Boolean(options.hideEmptyRegions);
+      this.hyphenateOption = options.hyphenate;
+      this.langOption = options.lang;
+      this.overflow = options.overflow || 'none';
+      if (!OVERFLOW_POLICIES.includes(this.overflow)) throw new Error(`Unknown overflow policy "${this.overflow}"`);
+      this.overflowTemplate = options.overflowTemplate || null;
+      this.overflowContainer = options.overflowContainer || null;
+      this.overflowLabel = options.overflowLabel || 'Continue reading';
+      this.maxClonedRegions = options.maxClonedRegions || 20;
+      this.fill = options.fill || 'greedy';
+      if (!FILL_MODES.includes(this.fill)) throw new Error(`Unknown fill mode "${this.fill}"`);
+      this.debug = Boolean(options.debug);
+      this.dropCap = options.dropCap || false;
+      this.baseline = options.baseline || 0;
+      this.grid = 0;
+      this.dev = typeof options.dev === 'boolean' ? options.dev : this.detectDevMode();
+      this.readingCopy = options.readingCopy !== false;
+      this.permalinks = Boolean(options.permalinks);
+      this.print = options.print === undefined ? 'A4' : options.print;
+      if (this.print && !PAGE_SIZES[this.print]) throw new Error(`Unknown print page size "${this.print}"`);
+      this.overlay = typeof options.overlay === 'boolean' ? options.overlay : /[?&]flowdebug\b/.test(window.location.search);
+      this.debounceMs = options.debounceMs || 150;
+
+      this.content = null;
+      this.blocks = [];
+      this.regions = [];
+      this.sandbox = null;
+      this.measureHost = null;
+      this.regionNodes = [];
+      this.regionSizes = new Map();
+      this.resizeObserver = null;
+      this.resizeHandler = null;
+      this.fontsHandler = null;
+      this.scheduleReflow = null;
+      this.setupPromise = null;
+      this.messageNode = null;
+      this.problemPanel = null;
+      this.overlayNode = null;
+      this.keyHandler = null;
+      this.readingNode = null;
+      this.copyHandler = null;
+      this.hashHandler = null;
+      this.revealedHash = null;
+      this.targetTimer = null;
+      this.targetNode = null;
+      this.printHandlers = null;
+      this.printNodes = [];
+      this.problems = [];
+      this.stats = null;
+      this.layout = null;
+      this.hyphenationCache = new Map();
+      // Exclusions of the region being filled, replayed in the measure host
+      this.measureShapes = [];
+      this.measureOffset = 0;
+      this.overflowNodes = [];
+      this.spillTarget = null;
+      this.mediaQuery = null;
+      this.mediaHandler = null;
+      this.fallbackTarget = null;
+      this.fallbackRegions = [];
+      // Set by a TextFlowGroup running this flow as one of its threads
+      this.group = null;
+      // First fragments take their block's id; print pages repeat the
+      // screen's blocks, so they leave the ids to it
+      this.blockIds = true;
+      if (this.measurer.attach) this.measurer.attach(this);
+    }
+
+    get hyphenate() {
+      if (typeof this.hyphenateOption === 'boolean') return this.hyphenateOption;
+      return Boolean(this.content && this.content.hyphenate);
+    }
+
+    get lang() {
+      return this.langOption || (this.content && this.content.lang) || document.documentElement.lang || 'en';
+    }
+
+    /**
+     * Loads content (once), sets up measuring and observers (once) and flows.
+     * Safe to call repeatedly: later calls only rescan the regions and reflow.
+     * Outside the `media` query it renders the linear fallback instead, and a
+     * pre-rendered layout that still fits is kept (resolving to null).
+     */
+    async init() {
+      this.watchMedia();
+      this.watchHash();
+      this.watchPrint();
+      if (!this.isFlowMode()) return this.renderFallback();
+      this.clearFallback();
+      if (!this.setupPromise) this.setupPromise = this.setup();
+      await this.setupPromise;
+      return this.hydrate() ? null : this.reflow();
+    }
+
+    isFlowMode() {
+      return !this.mediaQuery || this.mediaQuery.matches;
+    }
+
+    // Re-runs init() whenever the media query starts or stops matching
+    watchMedia() {
+      if (!this.media || this.mediaQuery) return;
+      this.mediaQuery = window.matchMedia(this.media);
+      this.mediaHandler = () => {
+        this.log(`Media query ${this.media} ${this.mediaQuery.matches ? 'matches' : 'no longer matches'}`);
+        this.init().catch((err) => this.error('Failed to switch layout', err));
+      };
+      this.mediaQuery.addEventListener('change', this.mediaHandler);
+    }
+
+    // Reveals the linked block when the hash changes after load
+    watchHash() {
+      if (this.hashHandler) return;
+      this.hashHandler = () => this.revealHash();
+      window.addEventListener('hashchange', this.hashHandler);
+    }
+
+    /**
+     * Scrolls to the block named by the URL hash and briefly marks the region
+     * holding it (or the block itself in the linear fallback) with
+     * `data-flow-target`. The browser can't do this on load, as the element
+     * only exists once content is placed. Each hash is revealed once, so
+     * reflows on resize don't pull the page back to it.
+     */
+    revealHash() {
+      const id = decodeURIComponent(window.location.hash.slice(1));
+      if (!id || id === this.revealedHash || !this.blocks.some((block) => block.id === id)) return;
+      const el = document.getElementById(id);
+      // Another flow (the print pages, say) may hold the same block
+      if (!el || !this.root.contains(el)) return;
+      this.revealedHash = id;
+      const region = el.closest(this.regionSelector);
+      const target = region || el;
+      el.scrollIntoView({ block: 'start' });
+
+      this.clearTarget();
+      target.setAttribute('data-flow-target', '');
+      this.targetNode = target;
+      this.targetTimer = setTimeout(() => this.clearTarget(), TARGET_HIGHLIGHT_MS);
+      this.emit('reveal', { blockId: id, element: el, region });
+    }
+
+    // Lays out print pages before the browser prints, and removes them after
+    watchPrint() {
+      // Secondary threads (sidebars, captions) aren't printed on their own
+      if (!this.print || this.thread !== 'main' || this.printHandlers) return;
+      this.printHandlers = {
+        beforeprint: () => this.renderPrint(),
+        afterprint: () => this.clearPrint(),
+      };
+      Object.keys(this.printHandlers).forEach((type) => window.addEventListener(type, this.printHandlers[type]));
+    }
+
+    /**
+     * Print mode: flows the content afresh into generated fixed-size pages,
+     * sized through `@page`, each with a running header carrying the content
+     * title and a page number. Pages are added until everything fits (up to
+     * MAX_PRINT_PAGES) and unused ones dropped. The screen layout, linear
+     * fallback included, is left alone and simply hidden in print.
+     * @returns {Object|null} The print layout result
+     */
+    renderPrint() {
+      this.clearPrint();
+      if (!this.content) return null;
+      const size = PAGE_SIZES[this.print];
+
+      const style = document.createElement('style');
+      style.setAttribute('data-flow-print', '');
+      style.textContent = `@page { size: ${size.width} ${size.height}; margin: 0; }${PRINT_STYLES}`;
+      document.head.appendChild(style);
+      const container = document.createElement('div');
+      container.className = 'flow-print';
+      container.setAttribute('aria-hidden', 'true');
+      container.style.setProperty('--flow-page-width', size.width);
+      container.style.setProperty('--flow-page-height', size.height);
+      document.body.appendChild(container);
+      this.printNodes = [style, container];
+
+      const printFlow = new TextFlow({
+        root: container,
+        regionSelector: '.flow-page',
+        wrapperSelector: '.flow-page-body',
+        hyphenate: this.hyphenateOption,
+        lang: this.langOption,
+        baseline: this.baseline,
+        dropCap: this.dropCap,
+        readingCopy: false,
+        overlay: false,
+        print: false,
+        dev: false,
+        debug: this.debug,
+      });
+      printFlow.blockIds = false;
+      printFlow.applyContent(this.content, printFlow.validateContent(this.content).invalidBlocks);
+      printFlow.createSandbox();
+
+      let layout = null;
+      for (let pages = 1; ; pages = Math.min(pages * 2, MAX_PRINT_PAGES)) {
+        while (container.children.length < pages) container.appendChild(this.createPage(container.children.length + 1));
+        layout = printFlow.reflow();
+        if (!layout || layout.overflow.length === 0) break;
+        if (pages === MAX_PRINT_PAGES) {
+          this.warn(`Print: content did not fit in ${MAX_PRINT_PAGES} pages, the rest is left out`);
+          break;
+        }
+      }
+      printFlow.sandbox.remove();
+
+      const used = Array.from(container.children).filter((page) => page.querySelector('.flow-page-body').children.length > 0);
+      Array.from(container.children).forEach((page) => {
+        if (!used.includes(page)) page.remove();
+      });
+      used.forEach((page, index) => {
+        page.querySelector('.flow-page-number').textContent = `${index + 1} / ${used.length}`;
+      });
+      this.log(`Print: ${used.length} ${this.print} pages`);
+      this.emit('print', { pages: used, layout });
+      return layout;
+    }
+
+    createPage(number) {
+      const page = document.createElement('section');
+      page.className = 'flow-page';
+      page.setAttribute('data-flow-order', String(number));
+      const header = document.createElement('header');
+      header.className = 'flow-page-header';
+      header.textContent = this.content.title || document.title;
+      const body = document.createElement('div');
+      body.className = 'flow-page-body';
+      const footer = document.createElement('footer');
+      footer.className = 'flow-page-footer';
+      const num = document.createElement('span');
+      num.className = 'flow-page-number';
+      footer.appendChild(num);
+      page.append(header, body, footer);
+      return page;
+    }
+
+    clearPrint() {
+      this.printNodes.forEach((node) => node.remove());
+      this.printNodes = [];
+    }
+
+    clearTarget() {
+      clearTimeout(this.targetTimer);
+      if (this.targetNode) this.targetNode.removeAttribute('data-flow-target');
+      this.targetNode = null;
+      this.targetTimer = null;
+    }
+
+    /**
+     * Linear mode: tears down the flowed layout, hides the regions and renders
+     * every block (fallback-only ones included) into the fallback container.
+     */
+    async renderFallback() {
+      this.teardown();
+      if (!this.content) await this.loadContent();
+      const target = typeof this.fallbackContainer === 'string'
+        ? document.querySelector(this.fallbackContainer)
+        : this.fallbackContainer;
+      if (!target) {
+        this.error('Linear fallback needs a fallbackContainer', this.fallbackContainer);
+        return null;
+      }
+
+      this.fallbackRegions = this.findRegions();
+      this.fallbackRegions.forEach((region) => {
+        region.style.display = 'none';
+      });
+      this.renderLinear(target, this.blocks);
+      target.style.display = 'block';
+      this.fallbackTarget = target;
+      this.emit('fallback', { container: target, blocks: this.blocks });
+      this.revealHash();
+      return null;
+    }
+
+    clearFallback() {
+      this.fallbackRegions.forEach((region) => {
+        region.style.display = '';
+      });
+      this.fallbackRegions = [];
+      if (this.fallbackTarget) {
+        this.fallbackTarget.innerHTML = '';
+        this.fallbackTarget.style.display = '';
+        this.fallbackTarget = null;
+      }
+    }
+
+    async setup() {
+      await this.waitForFonts();
+      if (!this.content) await this.loadContent();
+      await this.loadImages();
+      this.createSandbox();
+      this.attachObservers();
+    }
+
+    /**
+     * Keeps a layout written by tools/prerender.js instead of replacing it
+     * with the same flow. Pre-rendered regions carry the size they were laid
+     * out at in `data-flow-size`; if any live region differs (another
+     * viewport, different CSS), or a visible region has no recorded size (it
+     * was hidden at the pre-rendered viewport), the page reflows as usual.
+     * Either way the pre-rendered regions and spill become this flow's own,
+     * so later flows and destroy() clear them. A kept layout is read back
+     * from the page (restoreLayout), so copying, the overlay and permalinks
+     * work before the first reflow. Only checked once, later reflows always
+     * lay out again.
+     * @returns {boolean} Whether the pre-rendered layout was kept
+     */
+    hydrate() {
+      const nodes = this.findRegions();
+      const sized = nodes.filter((node) => node.hasAttribute('data-flow-size'));
+      if (sized.length === 0) return false;
+      this.regionNodes = nodes;
+      this.regions = this.visibleRegions(nodes);
+      const spill = this.overflow === 'spill' ? this.resolveOverflowContainer() : null;
+      if (spill && spill.querySelector('[data-flow-block]')) this.spillTarget = spill;
+
+      const mismatch = nodes.find((node) => {
+        if (!node.hasAttribute('data-flow-size') && !this.regions.includes(node)) return false;
+        const rect = node.getBoundingClientRect();
+        return node.getAttribute('data-flow-size') !== `${Math.round(rect.width)}x${Math.round(rect.height)}`;
+      });
+      sized.forEach((node) => node.removeAttribute('data-flow-size'));
+      if (mismatch) {
+        this.log('Pre-rendered layout does not fit the live regions, reflowing', mismatch);
+        return false;
+      }
+
+      this.readingNode = this.root.querySelector(`[data-flow-reading-copy="${this.thread}"]`);
+      this.layout = this.restoreLayout();
+      this.observeRegions();
+      this.recordRegionSizes();
+      this.log('Kept the pre-rendered layout of', sized.length, 'regions');
+      this.emit('hydrate', { regions: sized });
+      if (this.overlay) this.renderOverlay();
+      this.revealHash();
+      return true;
+    }
+
+    /**
+     * Rebuilds the layout result of a kept pre-rendered layout from the
+     * `data-flow-block` elements in its regions, and re-attaches the click
+     * handlers serializing dropped from its permalinks. Heights are read
+     * from the page; the whitespace dropped at each split is recovered
+     * from the block's own text.
+     * @returns {Object} The layout, as flow() would have returned it
+     */
+    restoreLayout() {
+      const byId = new Map(this.blocks.map((block) => [block.id, block]));
+      const complete = new Set();
+      const layoutRegions = this.regions.map((region, index) => {
+        const entry = {
+          index,
+          element: region,
+          order: Number(region.getAttribute('data-flow-order') || '0'),
+          availableHeight: 0,
+          usedHeight: 0,
+          blockIds: [],
+          fragments: [],
+        };
+        const wrap = this.getFlowContainer(region);
+        if (!wrap) return entry;
+        entry.availableHeight = Math.max(0, this.getRegionMetrics(region, wrap).availableHeight);
+        const top = wrap.getBoundingClientRect().top;
+        Array.from(wrap.children).filter((el) => el.hasAttribute('data-flow-block')).forEach((el) => {
+          const blockId = el.getAttribute('data-flow-block');
+          const block = byId.get(blockId);
+          const role = el.getAttribute('data-flow-fragment');
+          const rect = el.getBoundingClientRect();
+          const fragment = {
+            blockId,
+            type: block ? block.type : null,
+            element: el,
+            height: rect.height,
+            continued: role === 'middle' || role === 'last',
+            continues: role === 'first' || role === 'middle',
+            role,
+          };
+          if (block && block.pinToRegion === entry.order) fragment.pinned = true;
+          if (el.querySelector('.flow-hyphen')) fragment.hyphenated = true;
+          if (!fragment.continues) complete.add(blockId);
+          entry.fragments.push(fragment);
+          entry.usedHeight = Math.max(entry.usedHeight, rect.bottom - top);
+        });
+        entry.blockIds = Array.from(new Set(entry.fragments.map((f) => f.blockId)));
+        return entry;
+      });
+
+      const fragments = [].concat(...layoutRegions.map((entry) => entry.fragments));
+      this.restoreGaps(fragments, byId);
+      const placed = new Set(fragments.map((fragment) => fragment.blockId));
+      const spilled = (id) => (this.spillTarget
+        ? Array.from(this.spillTarget.querySelectorAll('[data-flow-block]')).find((el) => el.getAttribute('data-flow-block') === id)
+        : null);
+      const overflow = this.blocks
+        .filter((b) => !b.fallbackOnly && !complete.has(b.id))
+        .map((b) => {
+          const continued = placed.has(b.id);
+          const rest = continued ? spilled(b.id) : null;
+          return { id: b.id, type: b.type, text: rest ? rest.textContent : b.text, continued };
+        });
+
+      [...this.regions, this.readingNode, this.spillTarget].filter(Boolean).forEach((scope) => {
+        scope.querySelectorAll('a.flow-permalink').forEach((link) => this.bindPermalink(link, decodeURIComponent(link.hash.slice(1))));
+      });
+
+      this.stats = { durationMs: 0, measurements: 0, splits: fragments.filter((f) => f.continues).length, regions: this.regions.length, blocks: this.blocks.length, withinFrameBudget: true };
+      return { thread: this.thread, regions: layoutRegions, overflow, stats: this.stats };
+    }
+
+    /**
+     * Sets `gap` on the restored fragments of split paragraphs: the text
+     * between where one fragment ends and the next starts in the block.
+     */
+    restoreGaps(fragments, byId) {
+      const text = (el) => {
+        const copy = el.cloneNode(true);
+        copy.querySelectorAll('.flow-hyphen, .flow-permalink').forEach((mark) => mark.remove());
+        return copy.textContent;
+      };
+      const sources = new Map();
+      let offset = 0;
+      fragments.forEach((fragment, i) => {
+        const block = byId.get(fragment.blockId);
+        if (!block || block.type !== 'paragraph' || !fragment.role) return;
+        if (!sources.has(block.id)) {
+          sources.set(block.id, this.renderBlock({ ...block, continued: false }).textContent);
+          offset = 0;
+        }
+        const full = sources.get(block.id);
+        const own = text(fragment.element);
+        const start = full.indexOf(own, offset);
+        if (start === -1) return;
+        offset = start + own.length;
+        const next = fragments.slice(i + 1).find((f) => f.blockId === fragment.blockId);
+        if (!fragment.continues || !next) return;
+        const nextStart = full.indexOf(text(next.element), offset);
+        if (nextStart !== -1) fragment.gap = full.slice(offset, nextStart);
+      });
+    }
+
+    /**
+     * Rescans the regions and flows the current content into them.
+     * @returns {Object|null} The layout result of flow()
+     */
+    reflow() {
+      if (!this.sandbox) {
+        this.log('reflow() before init() or after destroy(), ignoring');
+        return null;
+      }
+      this.scanRegions();
+      this.observeRegions();
+      const layout = this.flow();
+      this.recordRegionSizes();
+      this.revealHash();
+      return layout;
+    }
+
+    /**
+     * Replaces the content and reflows if already initialised.
+     * @param {Object|string} content - Content JSON, or a URL to load it from
+     */
+    async setContent(content) {
+      if (typeof content === 'string') {
+        this.contentUrl = content;
+        await this.loadContent();
+      } else {
+        const { problems, invalidBlocks } = this.checkContent(content);
+        if (!problems) return null;
+        this.applyContent(content, invalidBlocks);
+      }
+      await this.loadImages();
+      return this.sandbox ? this.reflow() : null;
+    }
+
+    log(...args) {
+      if (this.debug) {
+        // eslint-disable-next-line no-console
+        console.log('[TextFlow]', ...args);
+      }
+    }
+
+    error(...args) {
+      // eslint-disable-next-line no-console
+      console.error('[TextFlow]', ...args);
+    }
+
+    warn(...args) {
+      // eslint-disable-next-line no-console
+      console.warn('[TextFlow]', ...args);
+    }
+
+    detectDevMode() {
+      const { protocol, hostname, search } = window.location;
+      return protocol === 'file:' ||
+        /^(localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\])$/.test(hostname) ||
+        /[?&]flowdev\b/.test(search);
+    }
+
+    /**
+     * Dispatches a CustomEvent on this instance, and on its group if it has one.
+     * @returns {boolean} false if a cancelable event was cancelled
+     */
+    emit(type, detail, cancelable = false) {
+      const event = new CustomEvent(type, { detail, cancelable });
+      const proceed = this.dispatchEvent(event);
+      return (this.group ? this.group.forward(this.thread, event) : true) && proceed;
+    }
+
+    resolveMetrics(metrics) {
+      if (typeof metrics === 'function') return metrics;
+      const name = metrics || (this.wrapperSelector ? 'wrapper' : 'region');
+      const strategy = METRICS_STRATEGIES[name];
+      if (!strategy) throw new Error(`Unknown metrics strategy "${name}"`);
+      return strategy;
+    }
+
+    resolveMeasurer(measurer) {
+      if (measurer && typeof measurer === 'object') return measurer;
+      const factory = MEASURERS[measurer || 'dom'];
+      if (!factory) throw new Error(`Unknown measurer "${measurer}"`);
+      return factory();
+    }
+
+    async waitForFonts() {
+      if (document && 'fonts' in document) {
+        try {
+          await document.fonts.ready;
+        } catch (_) {
+          // ignore
+        }
+      }
+    }
+
+    async loadContent() {
+      if (!this.contentUrl) {
+        this.error('No contentUrl provided');
+        return;
+      }
+      try {
+        const res = await fetch(this.contentUrl, { cache: 'no-cache' });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const json = this.getContentFormat() === 'markdown' ? parseMarkdown(await res.text()) : await res.json();
+        const { invalidBlocks, problems } = this.validateContent(json);
+        this.reportProblems(problems);
+        this.applyContent(json, invalidBlocks);
+        this.log('Loaded content:', json);
+      } catch (err) {
+        this.error('Failed to load content', err);
+        this.reportProblems(err instanceof ContentError
+          ? err.problems
+          : [{ severity: 'error', path: '', message: `could not load ${this.contentUrl}: ${err.message}` }]);
+        if (this.messageNode) this.messageNode.remove();
+        const container = document.querySelector('#regions') || document.body;
+        const msg = document.createElement('div');
+        msg.className = 'text-red-600 p-4';
+        msg.textContent = 'Failed to load content.';
+        container.appendChild(msg);
+        this.messageNode = msg;
+      }
+    }
+
+    /**
+     * Validates content handed over directly, reporting problems the same way
+     * loadContent does. `problems` is null when the content was rejected.
+     */
+    checkContent(json) {
+      try {
+        const result = this.validateContent(json);
+        this.reportProblems(result.problems);
+        return result;
+      } catch (err) {
+        if (!(err instanceof ContentError)) throw err;
+        this.error('Invalid content', err);
+        this.reportProblems(err.problems);
+        return { problems: null, invalidBlocks: null };
+      }
+    }
+
+    applyContent(json, invalidBlocks) {
+      this.content = json;
+      this.blocks = this.buildBlocks(json, invalidBlocks);
+      // Secondary threads (sidebars, captions) don't name the page
+      if (this.thread === 'main') {
+        document.title = json.title ? `${json.title} — EXPERI-MENTAL` : document.title;
+      }
+      if (this.messageNode) {
+        this.messageNode.remove();
+        this.messageNode = null;
+      }
+    }
+
+    getContentFormat() {
+      if (this.format) return this.format;
+      return /\.(md|markdown)([?#]|$)/i.test(this.contentUrl) ? 'markdown' : 'json';
+    }
+
+    /**
+     * Validates content against CONTENT_SCHEMA. Problems with the root reject
+     * the content (ContentError); a block with errors is only skipped.
+     * Unknown fields and duplicate ids are warnings.
+     * @returns {{problems: Array<{severity: string, path: string, message: string}>, invalidBlocks: Set<number>}}
+     */
+    validateContent(json) {
+      const problems = [];
+      const invalidBlocks = new Set();
+      const report = (severity, path, message) => problems.push({ severity, path, message });
+
+      if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        report('error', '', 'content must be an object with a blocks array');
+        throw new ContentError('Invalid content root', problems);
+      }
+      const rootErrors = checkFields(json, CONTENT_SCHEMA.root.fields, CONTENT_SCHEMA.root.required, '', report);
+      if (rootErrors > 0) throw new ContentError('Invalid content root', problems);
+
+      const types = Object.keys(CONTENT_SCHEMA.types);
+      const ids = new Map();
+      json.blocks.forEach((b, index) => {
+        const path = pointer('blocks', index);
+        if (!b || typeof b !== 'object' || Array.isArray(b)) {
+          report('error', path, 'block must be an object');
+          invalidBlocks.add(index);
+          return;
+        }
+
+        // Recorded even for blocks rejected below, so a mistyped block
+        // reusing an id still gets the duplicate warning
+        if (typeof b.id === 'string') {
+          if (ids.has(b.id)) {
+            report('warning', path + pointer('id'), `duplicate id "${b.id}" (first used at ${ids.get(b.id)})`);
+          } else {
+            ids.set(b.id, path);
+          }
+        }
+
+        const spec = CONTENT_SCHEMA.types[b.type];
+        if (!spec) {
+          report('error', path + pointer('type'), b.type === undefined
+            ? `is required (one of ${types.join(', ')})`
+            : `unknown block type "${b.type}"${suggestion(b.type, types)}`);
+          invalidBlocks.add(index);
+          return;
+        }
+
+        const fields = { ...CONTENT_SCHEMA.block, ...spec.fields };
+        if (checkFields(b, fields, spec.required, path, report) > 0) invalidBlocks.add(index);
+      });
+
+      return { problems, invalidBlocks };
+    }
+
+    /**
+     * Logs content problems and, in dev mode, lists them all in a panel.
+     */
+    reportProblems(problems) {
+      this.problems = problems;
+      problems.forEach((p) => {
+        const line = `${p.path || '/'}: ${p.message}`;
+        if (p.severity === 'error') this.error(line);
+        else this.warn(line);
+      });
+
+      if (this.problemPanel) this.problemPanel.remove();
+      this.problemPanel = null;
+      if (!this.dev || problems.length === 0) return;
+
+      const errors = problems.filter((p) => p.severity === 'error').length;
+      const panel = document.createElement('div');
+      panel.className = 'flow-problems';
+      panel.setAttribute('role', 'alert');
+      Object.assign(panel.style, {
+        position: 'fixed',
+        right: '1rem',
+        bottom: '1rem',
+        zIndex: '10000',
+        maxWidth: '32rem',
+        maxHeight: '50vh',
+        overflow: 'auto',
+        padding: '0.75rem 1rem',
+        background: '#0D0E0E',
+        color: '#FEFEFE',
+        font: '12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace',
+        boxShadow: '0 4px 16px rgba(0, 0, 0, 0.3)',
+      });
+
+      const title = document.createElement('strong');
+      title.textContent = `TextFlow: ${errors} error(s), ${problems.length - errors} warning(s) in ${this.contentUrl || 'content'}`;
+      panel.appendChild(title);
+
+      const list = document.createElement('ul');
+      problems.forEach((p) => {
+        const item = document.createElement('li');
+        item.style.color = p.severity === 'error' ? '#FF6B5E' : '#FDC628';
+        item.textContent = `${p.severity} ${p.path || '/'} — ${p.message}`;
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.textContent = 'Dismiss';
+      close.style.textDecoration = 'underline';
+      close.addEventListener('click', () => panel.remove());
+      panel.appendChild(close);
+
+      document.body.appendChild(panel);
+      this.problemPanel = panel;
+    }
+
+    /**
+     * Shows or hides the debug overlay.
+     * @param {boolean} [on] - Defaults to flipping the current state
+     */
+    toggleOverlay(on = !this.overlay) {
+      this.overlay = on;
+      if (on) this.renderOverlay();
+      else this.removeOverlay();
+    }
+
+    /**
+     * Draws the last layout over the page: each region outlined with its
+     * order and used vs available height, every placed block labelled with
+     * its id, split points marked where a block continues in the next region,
+     * and leftover content flagged on the last region. Redrawn after every
+     * flow while the overlay is on; it never takes pointer events.
+     */
+    renderOverlay() {
+      this.removeOverlay();
+      if (!this.layout) return;
+      const root = document.createElement('div');
+      root.className = 'flow-debug-overlay';
+      root.setAttribute('aria-hidden', 'true');
+      Object.assign(root.style, {
+        position: 'absolute',
+        left: '0',
+        top: '0',
+        zIndex: '9999',
+        pointerEvents: 'none',
+        font: '11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace',
+      });
+      const page = (rect) => ({ left: rect.left + window.scrollX, top: rect.top + window.scrollY, width: rect.width, height: rect.height });
+      const label = (text, styles) => this.overlayBox(root, styles, text);
+
+      const { regions, overflow } = this.layout;
+      regions.forEach((entry) => {
+        const rect = entry.element.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return;
+        const box = page(rect);
+        this.overlayBox(root, { ...box, outline: '2px dashed #2F80ED' });
+        const thread = this.thread === 'main' ? '' : ` ${this.thread}`;
+        label(`#${entry.order}${thread} · ${Math.round(entry.usedHeight)}/${Math.round(entry.availableHeight)}px`, {
+          left: box.left, top: box.top, background: '#2F80ED', color: '#FEFEFE',
+        });
+
+        // Used and available height, measured from the top of the content box
+        const wrap = this.getFlowContainer(entry.element);
+        if (!wrap) return;
+        const wrapRect = page(wrap.getBoundingClientRect());
+        const contentTop = wrapRect.top + (this.wrapperSelector ? 0 : parseFloat(getComputedStyle(wrap).paddingTop) || 0);
+        this.overlayBox(root, { left: wrapRect.left, top: contentTop + entry.usedHeight, width: wrapRect.width, height: 0, borderTop: '1px solid #27AE60' });
+        this.overlayBox(root, { left: wrapRect.left, top: contentTop + entry.availableHeight, width: wrapRect.width, height: 0, borderTop: '1px dotted #2F80ED' });
+
+        entry.fragments.forEach((fragment) => {
+          const frag = page(fragment.element.getBoundingClientRect());
+          this.overlayBox(root, { ...frag, outline: '1px solid rgba(47, 128, 237, 0.35)' });
+          const role = fragment.role ? ` (${fragment.role})` : '';
+          label(`${fragment.blockId}${role}${fragment.pinned ? ' pinned' : ''}`, {
+            left: frag.left + frag.width, top: frag.top, transform: 'translateX(-100%)', background: 'rgba(254, 254, 254, 0.85)', color: '#2F80ED',
+          });
+          if (fragment.continues) {
+            this.overlayBox(root, { left: frag.left, top: frag.top + frag.height, width: frag.width, height: 0, borderTop: '2px dashed #EB5757' });
+            label(`split ${fragment.blockId} →`, { left: frag.left, top: frag.top + frag.height, background: '#EB5757', color: '#FEFEFE' });
+          }
+        });
+      });
+
+      const last = regions[regions.length - 1];
+      if (overflow.length > 0 && last) {
+        const box = page(last.element.getBoundingClientRect());
+        label(`overflow: ${overflow.length} block(s) left (${this.overflow})`, {
+          left: box.left, top: box.top + box.height, background: '#EB5757', color: '#FEFEFE',
+        });
+      }
+
+      document.body.appendChild(root);
+      this.overlayNode = root;
+    }
+
+    // One absolutely positioned overlay element at page coordinates
+    overlayBox(root, { left, top, width, height, ...styles }, text) {
+      const el = document.createElement('div');
+      Object.assign(el.style, { position: 'absolute', left: `${left}px`, top: `${top}px`, boxSizing: 'border-box', whiteSpace: 'nowrap' }, styles);
+      if (width !== undefined) el.style.width = `${width}px`;
+      if (height !== undefined) el.style.height = `${height}px`;
+      if (text) {
+        el.textContent = text;
+        el.style.padding = '0 4px';
+      }
+      root.appendChild(el);
+      return el;
+    }
+
+    removeOverlay() {
+      if (this.overlayNode) this.overlayNode.remove();
+      this.overlayNode = null;
+    }
+
+    buildBlocks(json, invalidBlocks = new Set()) {
+      const blocks = [];
+      json.blocks.forEach((b, index) => {
+        if (invalidBlocks.has(index)) return;
+        const type = b.type;
+        const id = b.id || `blk-${index}`;
+        const keepWithNext = Boolean(b.keepWithNext);
+        const breakBefore = Boolean(b.breakBefore);
+        const breakAfter = Boolean(b.breakAfter);
+        const orphanProtection = typeof b.orphanProtection === 'number' ? b.orphanProtection : 2;
+        const widowProtection = typeof b.widowProtection === 'number' ? b.widowProtection : orphanProtection;
+        const text = String(b.text || '');
+        const level = b.level || (type === 'heading' ? 2 : undefined);
+        // Blocks shown only by the linear fallback (e.g. a quote the flowed page
+        // already shows as a fixed decoration)
+        const fallbackOnly = Boolean(b.fallbackOnly);
+        const pinToRegion = b.pinToRegion != null ? Number(b.pinToRegion) : null;
+        const rules = { keepWithNext, breakBefore, breakAfter, orphanProtection, widowProtection, fallbackOnly };
+
+        if (type === 'heading') {
+          blocks.push({ id, type, level, text, ...rules, elFactory: () => this.createHeading(level, text) });
+        } else if (type === 'paragraph') {
+          const block = { id, type, text, dropCap: this.dropCapLines(b.dropCap), ...rules };
+          // Read at call time, so the story-level drop cap below still applies
+          block.elFactory = (t = text, cap = block.dropCap) => this.createParagraph(t, cap);
+          blocks.push(block);
+        } else if (type === 'pullquote') {
+          blocks.push({ id, type, text, ...rules, pinToRegion, elFactory: () => this.createPullquote(text) });
+        } else if (type === 'blockquote') {
+          const attribution = b.attribution ? String(b.attribution) : '';
+          blocks.push({ id, type, text, attribution, ...rules, elFactory: () => this.createBlockquote(text, attribution) });
+        } else if (type === 'image') {
+          const image = { src: String(b.src || ''), alt: String(b.alt || ''), caption: b.caption ? String(b.caption) : '', width: b.width, height: b.height };
+          blocks.push({ id, type, text: image.caption, ...image, ...rules, elFactory: () => this.createFigure(image) });
+        } else if (type === 'divider') {
+          blocks.push({ id, type, text: '', ...rules, elFactory: () => this.createDivider() });
+        } else if (type === 'list') {
+          const items = (b.items || []).map(String);
+          const ordered = Boolean(b.ordered);
+          const start = Number.isInteger(b.start) ? b.start : 1;
+          blocks.push({
+            id, type, text: items.join(' '), items, ordered, start, ...rules,
+            elFactory: (list = items, from = start) => this.createList(ordered, list, from),
+          });
+        } else if (type === 'code') {
+          const language = b.language ? String(b.language) : '';
+          blocks.push({ id, type, text, language, ...rules, elFactory: (src = text) => this.createCode(src, language) });
+        } else {
+          this.log('Skipping unsupported block type', type);
+        }
+      });
+
+      const opening = blocks.find((b) => b.type === 'paragraph' && !b.fallbackOnly);
+      if (this.dropCap && opening && !opening.dropCap) opening.dropCap = this.dropCapLines(this.dropCap);
+      return blocks;
+    }
+
+    dropCapLines(value) {
+      if (value === true) return DEFAULT_DROP_CAP_LINES;
+      return Number.isInteger(value) && value >= 2 ? value : 0;
+    }
+
+    scanRegions() {
+      const nodes = this.findRegions();
+      this.regionNodes = nodes;
+      if (nodes.length === 0) {
+        this.error('No regions found for selector', this.regionSelector);
+      }
+
+      // Regions hidden by a previous flow must be measurable again
+      if (this.hideEmpty) this.showRegions(nodes);
+      this.clearOverflow();
+      this.regions = this.visibleRegions(nodes);
+
+      // ensure inner containers
+      if (this.wrapperSelector) {
+        this.regions.forEach((region) => {
+          if (!region.querySelector(this.wrapperSelector)) {
+            region.innerHTML = '';
+            region.appendChild(this.createWrapper());
+          }
+        });
+      }
+      this.markExclusions();
+      this.clearRegions();
+      this.log('Visible regions found:', this.regions.length);
+
+      // Log region details for debugging
+      this.regions.forEach((region, index) => {
+        const rect = region.getBoundingClientRect();
+        this.log(`Region ${index + 1}: width=${rect.width}, height=${rect.height}, order=${region.getAttribute('data-flow-order')}`);
+      });
+    }
+
+    // The visible ones of `nodes`, in flow order
+    visibleRegions(nodes) {
+      const visibleNodes = nodes.filter(el => {
+        const style = window.getComputedStyle(el);
+        const isVisible = style.display !== 'none' &&
+                         style.visibility !== 'hidden' &&
+                         style.opacity !== '0';
+
+        if (!isVisible) {
+          this.log(`Skipping hidden region: ${el.className}`);
+        }
+
+        return isVisible;
+      });
+
+      // Regions sharing an order (none authored, say) follow the reading
+      // direction: rows top to bottom, then columns left to right, or right
+      // to left in `dir="rtl"` regions. Unmeasurable ones keep DOM order.
+      return visibleNodes
+        .map((el) => ({
+          el,
+          order: Number(el.getAttribute('data-flow-order') || '0'),
+          rect: el.getBoundingClientRect(),
+          rtl: window.getComputedStyle(el).direction === 'rtl',
+        }))
+        .sort((a, b) => a.order - b.order || this.readingOrder(a, b))
+        .map((r) => r.el);
+    }
+
+    readingOrder(a, b) {
+      if (a.rect.bottom <= b.rect.top && a.rect.top < b.rect.top) return -1;
+      if (b.rect.bottom <= a.rect.top && b.rect.top < a.rect.top) return 1;
+      const dx = a.rect.left - b.rect.left;
+      return a.rtl ? -dx : dx;
+    }
+
+    // This thread's authored regions (clones excluded), in document order
+    findRegions() {
+      return Array.from(this.root.querySelectorAll(this.regionSelector))
+        .filter((el) => !el.hasAttribute('data-flow-clone'))
+        .filter((el) => (el.getAttribute('data-flow-thread') || 'main') === this.thread);
+    }
+
+    createWrapper() {
+      // Only simple class selectors can be recreated; anything else gets a plain div
+      const wrap = document.createElement('div');
+      const match = /^\.([\w-]+)$/.exec(this.wrapperSelector);
+      if (match) wrap.className = match[1];
+      wrap.setAttribute('data-flow-wrapper', '');
+      return wrap;
+    }
+
+    getFlowContainer(region) {
+      if (!this.wrapperSelector) return region;
+      return region.querySelector(this.wrapperSelector);
+    }
+
+    createHeading(level, text) {
+      const lvl = Math.min(Math.max(Number(level || 2), 2), 4);
+      const tag = `h${lvl}`;
+      const h = document.createElement(tag);
+      h.className = `flow-heading flow-h${lvl}`;
+      h.innerHTML = text;
+      this.log(`Created heading: ${tag}, text="${text.substring(0, 30)}...", className=${h.className}`);
+      return h;
+    }
+
+    createParagraph(text, dropCap = 0) {
+      const p = document.createElement('p');
+      p.className = 'flow-p';
+      if (dropCap) {
+        p.classList.add('flow-dropcap');
+        p.style.setProperty('--flow-dropcap-lines', String(dropCap));
+      }
+      p.innerHTML = text;
+      this.log(`Created paragraph: text="${text.substring(0, 30)}...", className=${p.className}`);
+      return p;
+    }
+
+    createPullquote(text) {
+      const aside = document.createElement('aside');
+      aside.className = 'flow-pullquote';
+      const p = document.createElement('p');
+      p.className = 'flow-pullquote-text';
+      p.innerHTML = text;
+      aside.appendChild(p);
+      return aside;
+    }
+
+    createBlockquote(text, attribution) {
+      const quote = document.createElement('blockquote');
+      quote.className = 'flow-blockquote';
+      const p = document.createElement('p');
+      p.className = 'quote-text';
+      p.innerHTML = text;
+      quote.appendChild(p);
+      if (attribution) {
+        const cite = document.createElement('cite');
+        cite.className = 'quote-attribution';
+        cite.innerHTML = `– ${attribution}`;
+        quote.appendChild(cite);
+      }
+      return quote;
+    }
+
+    // Image and caption are one figure, so the flow can never separate them
+    createFigure({ src, alt, caption, width, height }) {
+      const figure = document.createElement('figure');
+      figure.className = 'flow-figure';
+      const img = document.createElement('img');
+      img.className = 'flow-image';
+      img.src = src;
+      img.alt = alt;
+      // Intrinsic size lets the figure be measured before the image loads
+      if (width && height) {
+        img.width = width;
+        img.height = height;
+      }
+      img.style.maxWidth = '100%';
+      img.style.height = 'auto';
+      img.style.display = 'block';
+      figure.appendChild(img);
+      if (caption) {
+        const figcaption = document.createElement('figcaption');
+        figcaption.className = 'flow-caption';
+        figcaption.innerHTML = caption;
+        figure.appendChild(figcaption);
+      }
+      return figure;
+    }
+
+    createDivider() {
+      const hr = document.createElement('hr');
+      hr.className = 'flow-divider';
+      return hr;
+    }
+
+    createList(ordered, items, start) {
+      const list = document.createElement(ordered ? 'ol' : 'ul');
+      list.className = `flow-list ${ordered ? 'flow-list-ordered' : 'flow-list-unordered'}`;
+      // A continued ordered list picks up its numbering where the last region stopped
+      if (ordered && start !== 1) list.start = start;
+      items.forEach((html) => {
+        const li = document.createElement('li');
+        li.className = 'flow-li';
+        li.innerHTML = html;
+        list.appendChild(li);
+      });
+      return list;
+    }
+
+    createCode(text, language) {
+      const pre = document.createElement('pre');
+      pre.className = 'flow-code';
+      const code = document.createElement('code');
+      if (language) code.className = `language-${language}`;
+      // Source text, not markup: whitespace and angle brackets survive as written
+      code.textContent = text;
+      pre.appendChild(code);
+      return pre;
+    }
+
+    /**
+     * Renders a block from its current (possibly already split) state, or a
+     * paragraph with `text` in place of its own. Continuations never get the
+     * drop cap.
+     */
+    renderBlock(block, text = block.text) {
+      if (block.type === 'paragraph') return block.elFactory(text, block.continued ? 0 : block.dropCap);
+      if (block.type === 'code') return block.elFactory(text);
+      if (block.type === 'list') return block.elFactory(block.items, block.start);
+      return block.elFactory();
+    }
+
+    /**
+     * Appends a block or fragment to the region and records it on the layout
+     * entry. Fragments of a split block are tagged `data-flow-fragment`
+     * first/middle/last, and every element carries its source block id, so
+     * CSS can style openings and continuations differently.
+     */
+    addFragment(wrap, entry, block, el, height, { continues = false, pinned = false } = {}) {
+      const continued = Boolean(block.continued);
+      let role = null;
+      if (continued || continues) role = !continued ? 'first' : (continues ? 'middle' : 'last');
+      this.tagFragment(el, block.id, role);
+      // The measure sandbox may be visiting this region; content stays ahead of it
+      wrap.insertBefore(el, this.sandbox && this.sandbox.parentNode === wrap ? this.sandbox : null);
+      const fragment = { blockId: block.id, type: block.type, element: el, height, continued, continues, role };
+      if (pinned) fragment.pinned = true;
+      entry.fragments.push(fragment);
+      return fragment;
+    }
+
+    /**
+     * Marks a placed element with its source block. The block's first (or
+     * only) fragment also gets the block id as its `id`, so `#block-id`
+     * links land on where the block starts.
+     */
+    tagFragment(el, blockId, role) {
+      el.setAttribute('data-flow-block', blockId);
+      if (role) el.setAttribute('data-flow-fragment', role);
+      if (role && role !== 'first') return;
+      if (this.blockIds) el.id = blockId;
+      if (this.permalinks && (el.classList.contains('flow-p') || el.classList.contains('flow-heading'))) {
+        el.appendChild(this.createPermalink(blockId));
+      }
+    }
+
+    /**
+     * "Copy link" affordance for a block: a link to `#id` that copies the
+     * block's URL instead of navigating, where the clipboard API allows.
+     * Placed after measuring and positioned by CSS, so it takes no space.
+     */
+    createPermalink(blockId) {
+      const link = document.createElement('a');
+      link.className = 'flow-permalink';
+      link.href = `#${encodeURIComponent(blockId)}`;
+      link.setAttribute('aria-label', 'Copy link to this paragraph');
+      return this.bindPermalink(link, blockId);
+    }
+
+    // Copies the link's URL on click; also used on pre-rendered permalinks
+    bindPermalink(link, blockId) {
+      link.addEventListener('click', (event) => {
+        if (!navigator.clipboard) return;
+        event.preventDefault();
+        const url = link.href;
+        navigator.clipboard.writeText(url).then(() => {
+          link.setAttribute('data-flow-copied', '');
+          setTimeout(() => link.removeAttribute('data-flow-copied'), TARGET_HIGHLIGHT_MS);
+          this.emit('linkcopy', { blockId, url });
+        }, () => {
+          window.location.hash = link.hash;
+        });
+      });
+      return link;
+    }
+
+    /**
+     * Screen readers would announce each fragment as a paragraph of its own,
+     * in DOM rather than flow order. Instead they get a visually hidden
+     * linear copy of every block that was placed (split ones whole), ahead
+     * of the first region, and the fragments are hidden from them. Tabbing
+     * moves through the copy's links, and the copy is shown as a panel while
+     * one of them has focus (READING_COPY_STYLES).
+     */
+    renderReadingCopy(layoutRegions) {
+      this.removeReadingCopy();
+      const fragments = [].concat(...layoutRegions.map((entry) => entry.fragments));
+      if (fragments.length === 0) return;
+      const placed = new Set(fragments.map((fragment) => fragment.blockId));
+
+      // Shared by every flow on the page, and left in place once added
+      if (!document.querySelector('style[data-flow-reading-copy-styles]')) {
+        const style = document.createElement('style');
+        style.setAttribute('data-flow-reading-copy-styles', '');
+        style.textContent = READING_COPY_STYLES;
+        document.head.appendChild(style);
+      }
+      const copy = document.createElement('div');
+      copy.className = 'flow-reading-copy';
+      copy.setAttribute('data-flow-reading-copy', this.thread);
+      this.blocks
+        .filter((block) => !block.fallbackOnly && placed.has(block.id))
+        .forEach((block) => {
+          const el = this.renderBlock(block);
+          // The fragments' permalinks leave the tab order below, so the copy has its own
+          if (this.permalinks && (el.classList.contains('flow-p') || el.classList.contains('flow-heading'))) {
+            el.appendChild(this.createPermalink(block.id));
+          }
+          copy.appendChild(el);
+        });
+
+      // Links stay reachable once, in the copy (which shows itself while it
+      // has focus), and not in fragments that assistive tech can't see
+      const hide = (el) => {
+        el.setAttribute('aria-hidden', 'true');
+        el.querySelectorAll(FOCUSABLE).forEach((node) => node.setAttribute('tabindex', '-1'));
+      };
+      fragments.forEach((fragment) => hide(fragment.element));
+      // The copy has the whole of a block that was split into the spill
+      if (this.spillTarget) this.spillTarget.querySelectorAll('[data-flow-fragment="last"]').forEach(hide);
+      const first = layoutRegions[0].element;
+      first.parentNode.insertBefore(copy, first);
+      this.readingNode = copy;
+    }
+
+    removeReadingCopy() {
+      if (this.readingNode) this.readingNode.remove();
+      this.readingNode = null;
+    }
+
+    /**
+     * Copying a selection that runs across regions puts the blocks on the
+     * clipboard in reading order, with the fragments of split paragraphs,
+     * lists and code joined back into one block (and generated hyphens
+     * dropped), instead of the DOM-order pieces the browser would copy.
+     */
+    handleCopy(event) {
+      const selection = document.getSelection();
+      if (!this.layout || !selection || selection.rangeCount === 0 || selection.isCollapsed) return;
+      const range = selection.getRangeAt(0);
+
+      const parts = [];
+      this.layout.regions.forEach((entry) => entry.fragments.forEach((fragment) => {
+        if (!fragment.element.isConnected || !range.intersectsNode(fragment.element)) return;
+        const part = document.createRange();
+        part.selectNodeContents(fragment.element);
+        if (range.compareBoundaryPoints(Range.START_TO_START, part) > 0) part.setStart(range.startContainer, range.startOffset);
+        if (range.compareBoundaryPoints(Range.END_TO_END, part) < 0) part.setEnd(range.endContainer, range.endOffset);
+        const holder = document.createElement('div');
+        holder.appendChild(part.cloneContents());
+        holder.querySelectorAll('.flow-hyphen, .flow-permalink').forEach((mark) => mark.remove());
+        parts.push({ fragment, entry, holder });
+      }));
+      // Within one region the browser's own copy is already in order
+      if (new Set(parts.map((part) => part.entry)).size < 2) return;
+
+      const groups = [];
+      parts.forEach((part) => {
+        const last = groups[groups.length - 1];
+        if (last && last[0].fragment.blockId === part.fragment.blockId) last.push(part);
+        else groups.push([part]);
+      });
+
+      const text = [];
+      const html = document.createElement('div');
+      groups.forEach((group) => {
+        const { type, element } = group[0].fragment;
+        const block = element.cloneNode(false);
+        ['id', 'data-flow-block', 'data-flow-fragment', 'aria-hidden', 'style'].forEach((name) => block.removeAttribute(name));
+        if (type === 'code') {
+          const code = group.map((part) => part.holder.textContent).join('\n');
+          const inner = document.createElement('code');
+          inner.textContent = code;
+          block.appendChild(inner);
+          text.push(code);
+        } else if (type === 'list') {
+          group.forEach((part) => block.append(...part.holder.childNodes));
+          text.push(Array.from(block.children).map((li) => li.textContent.trim()).join('\n'));
+        } else {
+          group.forEach((part, i) => {
+            if (i > 0) block.append(group[i - 1].fragment.gap || '');
+            block.append(...part.holder.childNodes);
+          });
+          text.push(block.textContent.trim());
+        }
+        html.appendChild(block);
+      });
+
+      event.clipboardData.setData('text/plain', text.join('\n\n'));
+      event.clipboardData.setData('text/html', html.innerHTML);
+      event.preventDefault();
+    }
+
+    /**
+     * Resolves once every image block has loaded (or failed), so figures
+     * are measured at their real height.
+     */
+    loadImages() {
+      const pending = this.blocks
+        .filter((b) => b.type === 'image' && b.src && !(b.width && b.height))
+        .map((b) => new Promise((resolve) => {
+          const img = new Image();
+          img.onload = resolve;
+          img.onerror = resolve;
+          img.src = b.src;
+        }));
+      return Promise.all(pending);
+    }
+
+    /**
+     * Reflows when a region changes size for any reason (viewport, fonts,
+     * images, animations), falling back to window resize without
+     * ResizeObserver. Also reflows once web fonts finish loading, and
+     * listens for copying and the overlay shortcut.
+     */
+    attachObservers() {
+      this.scheduleReflow = this.debounce(() => {
+        this.log('Resize -> reflow');
+        this.reflow();
+      }, this.debounceMs);
+
+      if ('ResizeObserver' in window) {
+        this.resizeObserver = new ResizeObserver((entries) => {
+          // Our own flow (hiding empty regions, content-sized regions) changes
+          // sizes too; only react to sizes that differ from the last flow's
+          const changed = entries.some((entry) => this.regionSizeChanged(entry.target));
+          if (changed) this.scheduleReflow();
+        });
+      } else {
+        this.resizeHandler = this.scheduleReflow;
+        window.addEventListener('resize', this.resizeHandler);
+      }
+
+      if (document.fonts && document.fonts.addEventListener) {
+        this.fontsHandler = () => this.scheduleReflow();
+        document.fonts.addEventListener('loadingdone', this.fontsHandler);
+      }
+
+      this.copyHandler = (event) => this.handleCopy(event);
+      document.addEventListener('copy', this.copyHandler);
+
+      this.keyHandler = (event) => {
+        const matches = Object.keys(OVERLAY_SHORTCUT).every((key) => event[key] === OVERLAY_SHORTCUT[key]);
+        if (matches) this.toggleOverlay();
+      };
+      document.addEventListener('keydown', this.keyHandler);
+    }
+
+    observeRegions() {
+      if (!this.resizeObserver) return;
+      this.resizeObserver.disconnect();
+      this.regionNodes.forEach((node) => this.resizeObserver.observe(node));
+    }
+
+    recordRegionSizes() {
+      this.regionSizes = new Map();
+      this.regionNodes.forEach((node) => {
+        const rect = node.getBoundingClientRect();
+        this.regionSizes.set(node, `${Math.round(rect.width)}x${Math.round(rect.height)}`);
+      });
+    }
+
+    regionSizeChanged(node) {
+      const rect = node.getBoundingClientRect();
+      return this.regionSizes.get(node) !== `${Math.round(rect.width)}x${Math.round(rect.height)}`;
+    }
+
+    /**
+     * Tears down observers, listeners (the media query's included), the
+     * measuring sandbox and everything injected into the page, leaving the
+     * regions as they were before init(). Loaded content is kept, so init()
+     * can start again without refetching.
+     */
+    destroy() {
+      if (this.mediaQuery) this.mediaQuery.removeEventListener('change', this.mediaHandler);
+      if (this.hashHandler) window.removeEventListener('hashchange', this.hashHandler);
+      this.mediaQuery = null;
+      this.mediaHandler = null;
+      this.hashHandler = null;
+      this.clearTarget();
+      if (this.printHandlers) {
+        Object.keys(this.printHandlers).forEach((type) => window.removeEventListener(type, this.printHandlers[type]));
+      }
+      this.printHandlers = null;
+      this.clearPrint();
+      this.clearFallback();
+      this.teardown();
+    }
+
+    // destroy() minus the media listener and linear fallback, for switching modes
+    teardown() {
+      if (this.resizeObserver) this.resizeObserver.disconnect();
+      if (this.resizeHandler) window.removeEventListener('resize', this.resizeHandler);
+      if (this.fontsHandler) document.fonts.removeEventListener('loadingdone', this.fontsHandler);
+      if (this.keyHandler) document.removeEventListener('keydown', this.keyHandler);
+      if (this.copyHandler) document.removeEventListener('copy', this.copyHandler);
+      if (this.scheduleReflow) this.scheduleReflow.cancel();
+      this.resizeObserver = null;
+      this.resizeHandler = null;
+      this.fontsHandler = null;
+      this.keyHandler = null;
+      this.copyHandler = null;
+      this.scheduleReflow = null;
+
+      this.clearOverflow();
+      this.clearRegions();
+      if (this.hideEmpty) this.showRegions(this.regionNodes);
+      this.regionNodes.forEach((node) => {
+        node.querySelectorAll('[data-flow-wrapper]').forEach((n) => n.remove());
+        node.removeAttribute('data-flow-baseline');
+        if (typeof this.baseline === 'number') node.style.removeProperty('--flow-baseline');
+      });
+
+      if (this.sandbox && this.sandbox.parentNode) this.sandbox.parentNode.removeChild(this.sandbox);
+      if (this.messageNode) this.messageNode.remove();
+      if (this.problemPanel) this.problemPanel.remove();
+      this.problemPanel = null;
+      this.removeOverlay();
+      this.removeReadingCopy();
+      this.sandbox = null;
+      this.measureHost = null;
+      this.messageNode = null;
+      this.regions = [];
+      this.regionNodes = [];
+      this.regionSizes = new Map();
+      this.layout = null;
+      this.setupPromise = null;
+    }
+
+    createSandbox() {
+      if (this.sandbox) return;
+      const sb = document.createElement('div');
+      sb.className = 'measure-sandbox';
+      sb.style.width = '1000px';
+      sb.style.position = 'absolute';
+      sb.style.visibility = 'hidden';
+      sb.style.left = '-99999px';
+      sb.style.top = '0';
+      sb.style.pointerEvents = 'none';
+      document.body.appendChild(sb);
+      this.sandbox = sb;
+
+      // Test if CSS is working
+      const testP = document.createElement('p');
+      testP.className = 'flow-p';
+      testP.textContent = 'Test paragraph for CSS measurement';
+      sb.appendChild(testP);
+      const testHeight = testP.getBoundingClientRect().height;
+      this.log(`CSS test: testP height=${testHeight}, className=${testP.className}`);
+      sb.innerHTML = '';
+
+      // Reused for every measurement. flow-root keeps child margins inside
+      // its box, like the absolutely positioned container it replaces.
+      const host = document.createElement('div');
+      host.style.display = 'flow-root';
+      sb.appendChild(host);
+      this.measureHost = host;
+    }
+
+    clearRegions() {
+      this.regions.forEach((region) => {
+        const wrap = this.getFlowContainer(region);
+        if (wrap) this.clearFlowContainer(wrap);
+      });
+    }
+
+    /**
+     * Empties a flow container but keeps the exclusions authored in it. The
+     * shape generated from `data-flow-shape` goes too, unless `keepShape`.
+     */
+    clearFlowContainer(wrap, keepShape = false) {
+      Array.from(wrap.childNodes).forEach((node) => {
+        if (node === this.sandbox) return;
+        const exclusion = node.nodeType === 1 && node.getAttribute('data-flow-exclusion');
+        if (exclusion === null || exclusion === false) return node.remove();
+        if (exclusion === 'shape' && !keepShape) node.remove();
+      });
+    }
+
+    /**
+     * Marks floats with `shape-outside` in each flow container as exclusions,
+     * so they survive clearing and are replayed when measuring.
+     */
+    markExclusions() {
+      this.regions.forEach((region) => {
+        const wrap = this.getFlowContainer(region);
+        if (!wrap) return;
+        Array.from(wrap.children).forEach((child) => {
+          if (child.hasAttribute('data-flow-exclusion') || child.hasAttribute('data-flow-block')) return;
+          const style = getComputedStyle(child);
+          if (style.float !== 'none' && style.shapeOutside && style.shapeOutside !== 'none') {
+            child.setAttribute('data-flow-exclusion', '');
+          }
+        });
+      });
+    }
+
+    /**
+     * Prepares a region's shape for filling: a `data-flow-shape` polygon
+     * becomes a float spanning the flow container, and every exclusion is
+     * captured (position, size and shape) for the measure host.
+     */
+    applyShape(region, wrap, availableHeight) {
+      wrap.querySelectorAll(':scope > [data-flow-exclusion="shape"]').forEach((n) => n.remove());
+      const shape = region.getAttribute('data-flow-shape');
+      if (shape) {
+        const side = region.getAttribute('data-flow-shape-side') === 'right' ? 'right' : 'left';
+        const float = document.createElement('div');
+        float.className = 'flow-shape';
+        float.setAttribute('data-flow-exclusion', 'shape');
+        float.setAttribute('aria-hidden', 'true');
+        float.style.float = side;
+        float.style.width = '100%';
+        float.style.height = `${availableHeight}px`;
+        float.style.shapeOutside = shape;
+        wrap.insertBefore(float, wrap.firstChild);
+      }
+
+      const wrapRect = wrap.getBoundingClientRect();
+      const wrapStyle = getComputedStyle(wrap);
+      const contentTop = wrapRect.top + (parseFloat(wrapStyle.paddingTop) || 0) + (parseFloat(wrapStyle.borderTopWidth) || 0);
+      this.measureShapes = Array.from(wrap.querySelectorAll(':scope > [data-flow-exclusion]')).map((el) => {
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        const copy = el.cloneNode(true);
+        copy.removeAttribute('id');
+        // The measure host sits outside the page, so computed geometry is
+        // pinned inline rather than left to page selectors
+        Object.assign(copy.style, {
+          float: style.float,
+          shapeOutside: style.shapeOutside,
+          shapeMargin: style.shapeMargin,
+          shapeImageThreshold: style.shapeImageThreshold,
+          boxSizing: 'border-box',
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          marginTop: '0',
+          marginBottom: '0',
+          marginLeft: style.marginLeft,
+          marginRight: style.marginRight,
+        });
+        return { element: copy, top: rect.top - contentTop, height: rect.height };
+      });
+      this.measureOffset = 0;
+      if (this.measureShapes.length > 0) this.log(`Region shape: ${this.measureShapes.length} exclusion(s)`);
+    }
+
+    /**
+     * Empties the measure host and replays the region's exclusions, shifted
+     * up by `measureOffset` (the height already filled above the content
+     * being measured), so text wraps as it will in the region.
+     */
+    resetMeasureHost() {
+      const host = this.measureHost;
+      host.innerHTML = '';
+      this.measureShapes.forEach((shape) => {
+        if (shape.top + shape.height <= this.measureOffset) return;
+        const copy = shape.element.cloneNode(true);
+        copy.style.marginTop = `${shape.top - this.measureOffset}px`;
+        host.appendChild(copy);
+      });
+    }
+
+    /**
+     * Flows all blocks into the regions.
+     *
+     * Emits `beforeflow` (cancelable), `blocksplit` for every paragraph split,
+     * `regionfilled` per region, `overflow` when content is left over and
+     * `afterflow` with the layout result.
+     *
+     * @returns {{regions: Array<{index: number, element: Element, order: number, availableHeight: number,
+     *   usedHeight: number, blockIds: string[], fragments: Array<{blockId: string, type: string,
+     *   element: Element, height: number, continued: boolean, continues: boolean}>}>,
+     *   overflow: Array<{id: string, type: string, text: string, continued: boolean}>,
+     *   stats: {durationMs: number, measurements: number, splits: number, regions: number, blocks: number,
+     *   withinFrameBudget: boolean}}|null} The layout, also kept on `this.layout`
+     */
+    flow() {
+      if (!this.blocks || this.blocks.length === 0 || this.regions.length === 0) {
+        this.log('No blocks or regions to flow');
+        return null;
+      }
+
+      if (!this.emit('beforeflow', { blocks: this.blocks, regions: this.regions.slice() }, true)) {
+        this.log('Flow cancelled by beforeflow listener');
+        return null;
+      }
+
+      this.log('Starting flow with', this.blocks.length, 'blocks and', this.regions.length, 'regions');
+      const startedAt = performance.now();
+      this.stats = { durationMs: 0, measurements: 0, splits: 0, regions: this.regions.length, blocks: this.blocks.length, withinFrameBudget: true };
+
+      // Start fresh
+      this.clearOverflow();
+      if (this.hideEmpty) this.showRegions(this.regions);
+      this.clearRegions();
+
+      // Work on a mutable queue
+      const queue = this.blocks
+        .filter((b) => !b.fallbackOnly)
+        .map((b) => ({ ...b, text: b.text }));
+
+      // Pinned blocks leave the queue and open their region; if that region
+      // isn't visible they stay inline where they were authored
+      const pinned = new Map();
+      const orders = this.regions.map((r) => Number(r.getAttribute('data-flow-order') || '0'));
+      for (let q = queue.length - 1; q >= 0; q--) {
+        const order = queue[q].pinToRegion;
+        if (order == null || !orders.includes(order)) continue;
+        if (!pinned.has(order)) pinned.set(order, []);
+        pinned.get(order).unshift(queue.splice(q, 1)[0]);
+      }
+
+      const layoutRegions = [];
+      let clonesAdded = 0;
+      // Height limit per region from fill: 'balance'
+      const caps = new Map();
+      // The 'balance' group being filled greedily, with what's needed to refill it
+      let balancing = null;
+
+      for (let i = 0; i < this.regions.length; i++) {
+        const region = this.regions[i];
+        if (i === 0 || region.parentNode !== this.regions[i - 1].parentNode) {
+          if (balancing) balancing.pending.forEach((filled) => this.emitFilled(filled));
+          const group = this.siblingGroup(i);
+          balancing = group.length > 1 && !caps.has(region) && this.fillMode(region) === 'balance'
+            ? { group, index: i, from: layoutRegions.length, queue: queue.map((b) => ({ ...b })), pending: [] }
+            : null;
+        }
+
+        const entry = {
+          index: i,
+          element: region,
+          order: Number(region.getAttribute('data-flow-order') || '0'),
+          availableHeight: 0,
+          usedHeight: 0,
+          blockIds: [],
+          fragments: [],
+        };
+        layoutRegions.push(entry);
+
+        const wrap = this.getFlowContainer(region);
+        if (!wrap) {
+          this.log(`Region ${i + 1}: No ${this.wrapperSelector} wrapper found, skipping`);
+          continue;
+        }
+
+        const metrics = this.getRegionMetrics(region, wrap);
+        const { innerWidth } = metrics;
+        // On a baseline grid the region only fills whole grid lines
+        this.grid = this.resolveBaseline(region);
+        const availableHeight = this.gridFloor(metrics.availableHeight);
+        entry.availableHeight = Math.max(0, availableHeight);
+        this.log(`Region ${i + 1}: availableHeight=${availableHeight}, innerWidth=${innerWidth}, queue.length=${queue.length}`);
+
+        if (availableHeight <= 0 || innerWidth <= 0) {
+          this.log(`Region ${i + 1}: Invalid dimensions, skipping`);
+          continue;
+        }
+
+        this.measurer.setWidth(innerWidth);
+        this.applyShape(region, wrap, availableHeight);
+        // Measure inside the region so its inherited and descendant styles apply
+        wrap.appendChild(this.sandbox);
+
+        const isLast = i === this.regions.length - 1;
+        const snapshot = isLast && this.overflow === 'truncate' ? queue.map((b) => ({ ...b })) : null;
+        const start = this.placePinned(wrap, pinned.get(entry.order) || [], entry);
+        const limit = caps.has(region) ? Math.min(availableHeight, this.gridFloor(caps.get(region))) : availableHeight;
+        let { used, blocksAdded } = this.fillRegion(wrap, queue, limit, entry, start);
+
+        if (isLast && queue.length > 0) {
+          if (this.overflow === 'truncate') {
+            // Refill the last region leaving room for the "continue reading" expander
+            const expander = this.createExpander();
+            const reserve = this.measureHeight([expander]);
+            this.clearFlowContainer(wrap, true);
+            queue.splice(0, queue.length, ...snapshot);
+            entry.fragments = [];
+            this.placePinned(wrap, pinned.get(entry.order) || [], entry);
+            ({ used, blocksAdded } = this.fillRegion(wrap, queue, availableHeight - reserve, entry, start));
+            this.releaseSandbox();
+            if (queue.length > 0) this.truncate(wrap, expander, queue);
+          } else if (this.overflow === 'clone') {
+            // Stop once a fresh region can't take anything, or we'd clone forever
+            const clone = blocksAdded > 0 && clonesAdded < this.maxClonedRegions ? this.cloneRegion(region) : null;
+            if (clone) {
+              this.regions.push(clone);
+              clonesAdded++;
+            } else if (region.hasAttribute('data-flow-clone') && blocksAdded === 0) {
+              region.remove();
+              this.regions.pop();
+              layoutRegions.pop();
+              continue;
+            }
+          }
+        }
+
+        this.releaseSandbox();
+        entry.usedHeight = used;
+        entry.blockIds = Array.from(new Set(entry.fragments.map((f) => f.blockId)));
+        this.log(`Region ${i + 1}: Added ${blocksAdded} blocks, used ${used}px of ${availableHeight}px`);
+
+        // The story ended in a 'balance' group: refill it from its start, capped level
+        if (balancing && queue.length === 0) {
+          const cap = this.balanceHeight(balancing.group, balancing.queue, pinned, layoutRegions.slice(balancing.from));
+          if (cap !== null) {
+            balancing.group.forEach((r) => {
+              caps.set(r, cap);
+              const groupWrap = this.getFlowContainer(r);
+              if (groupWrap) this.clearFlowContainer(groupWrap);
+            });
+            queue.splice(0, queue.length, ...balancing.queue);
+            layoutRegions.length = balancing.from;
+            i = balancing.index - 1;
+            balancing = null;
+            continue;
+          }
+        }
+        if (balancing) balancing.pending.push(entry);
+        else this.emitFilled(entry);
+      }
+      if (balancing) balancing.pending.forEach((filled) => this.emitFilled(filled));
+      this.releaseSandbox();
+      this.measureShapes = [];
+      this.measureOffset = 0;
+      this.grid = 0;
+
+      this.log('Flow complete, remaining blocks:', queue.length);
+      const overflow = queue.map((b) => ({ id: b.id, type: b.type, text: b.text, continued: Boolean(b.continued) }));
+      if (queue.length > 0) this.handleOverflow(queue, overflow);
+      if (this.readingCopy) this.renderReadingCopy(layoutRegions);
+
+      // Hide empty regions to prevent blank space in layout
+      if (this.hideEmpty) this.hideEmptyRegions();
+
+      this.stats.durationMs = performance.now() - startedAt;
+      this.stats.withinFrameBudget = this.stats.durationMs <= FRAME_BUDGET_MS;
+      this.log(`Flow stats: ${this.stats.durationMs.toFixed(1)}ms, ${this.stats.measurements} measurements, ${this.stats.splits} splits`);
+
+      this.layout = { thread: this.thread, regions: layoutRegions, overflow, stats: this.stats };
+      if (this.overlay) this.renderOverlay();
+      this.emit('afterflow', this.layout);
+      return this.layout;
+    }
+
+    // Announces a filled region, after the blocks split at its end
+    emitFilled(entry) {
+      entry.fragments
+        .filter((f) => f.continues)
+        .forEach((f) => this.emit('blocksplit', { blockId: f.blockId, region: entry, fragment: f }));
+      this.emit('regionfilled', entry);
+    }
+
+    fillMode(region) {
+      const mode = region.parentElement && region.parentElement.getAttribute('data-flow-fill');
+      if (!mode) return this.fill;
+      if (FILL_MODES.includes(mode)) return mode;
+      this.warn(`Unknown data-flow-fill "${mode}", using "${this.fill}"`, region.parentElement);
+      return this.fill;
+    }
+
+    // The run of regions from index `i` (in flow order) sharing its parent
+    siblingGroup(i) {
+      const group = [this.regions[i]];
+      for (let j = i + 1; j < this.regions.length && this.regions[j].parentNode === this.regions[i].parentNode; j++) {
+        group.push(this.regions[j]);
+      }
+      return group;
+    }
+
+    /**
+     * fill: 'balance'. Once a greedy fill of `group` (its layout entries are
+     * `greedy`) has taken all of `queue`, finds the lowest height the group's
+     * regions can be capped at that still takes all of it, so the columns end
+     * level instead of leaving the last one nearly empty. Caps are tried a
+     * line (or grid line) apart, between the average and the tallest greedy
+     * column. Trial fills use the real regions (and so the same split and
+     * keep rules) on a copy of the queue, and are cleared again.
+     * @returns {number|null} The cap in px, or null to keep the greedy fill
+     */
+    balanceHeight(group, queue, pinned, greedy) {
+      const fits = (cap) => {
+        const trial = queue.map((b) => ({ ...b }));
+        for (let k = 0; k < group.length && trial.length > 0; k++) {
+          const region = group[k];
+          const wrap = this.getFlowContainer(region);
+          if (!wrap) continue;
+          const { availableHeight, innerWidth } = this.getRegionMetrics(region, wrap);
+          this.grid = this.resolveBaseline(region);
+          const available = this.gridFloor(availableHeight);
+          if (available <= 0 || innerWidth <= 0) continue;
+
+          this.measurer.setWidth(innerWidth);
+          this.applyShape(region, wrap, available);
+          wrap.appendChild(this.sandbox);
+          const entry = { index: k, availableHeight: available, fragments: [] };
+          const start = this.placePinned(wrap, pinned.get(Number(region.getAttribute('data-flow-order') || '0')) || [], entry);
+          this.fillRegion(wrap, trial, Math.min(available, this.gridFloor(cap)), entry, start);
+          this.clearFlowContainer(wrap, true);
+          this.releaseSandbox();
+        }
+        return trial.length === 0;
+      };
+
+      const used = greedy.map((entry) => entry.usedHeight);
+      const tallest = Math.max(...used);
+      const step = this.balanceStep(group[0]);
+      // Less than the average can't hold it all; the tallest column can
+      const floor = Math.max(0, Math.floor(used.reduce((sum, h) => sum + h, 0) / group.length) - step);
+      const cap = (steps) => Math.min(tallest, floor + steps * step);
+      const most = Math.ceil((tallest - floor) / step);
+      let low = 0;
+      let high = most;
+      while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (fits(cap(mid))) high = mid;
+        else low = mid;
+      }
+      if (high === most) return null;
+      this.log(`Balanced ${group.length} regions at ${cap(high)}px`);
+      return cap(high);
+    }
+
+    // Caps closer together than this fill a region the same: its grid, or
+    // the line height of body text set in it
+    balanceStep(region) {
+      const grid = this.resolveBaseline(region);
+      if (grid) return grid;
+      (this.getFlowContainer(region) || region).appendChild(this.sandbox);
+      const lineHeight = this.measurer.lineHeight(this.createParagraph(''));
+      this.releaseSandbox();
+      return Math.max(1, Math.round(lineHeight));
+    }
+
+    gridFloor(height) {
+      return this.grid ? Math.floor(height / this.grid) * this.grid : height;
+    }
+
+    /**
+     * Whether the blocks following queue[0] can start within `space`: every
+     * keepWithNext block in the chain fits whole, and the first block that
+     * isn't kept can at least begin (a heading whole, a paragraph, list or
+     * code block with its orphan lines or items).
+     */
+    canKeepWithNext(queue, space, offset = this.measureOffset) {
+      const saved = this.measureOffset;
+      // In a shaped region the following blocks are measured where they'd start
+      this.measureOffset = offset;
+      try {
+        for (let j = 1; j < queue.length; j++) {
+          const next = queue[j];
+          // A forced break separates them no matter where we are
+          if (next.breakBefore) return true;
+
+          const h = this.measureHeight([this.renderBlock(next)]);
+          if (h <= space) {
+            if (!next.keepWithNext) return true;
+            space -= h;
+            this.measureOffset += h;
+            continue;
+          }
+          if (!SPLITTABLE_TYPES.includes(next.type)) return false;
+          return this.splitBlock(next, space) !== null;
+        }
+        return true;
+      } finally {
+        this.measureOffset = saved;
+      }
+    }
+
+    /**
+     * Places blocks pinned to a region at its top, ahead of the flowed content.
+     * @returns {{height: number, margin: number}} Height they take up and the
+     *   trailing margin the first flowed block collapses with
+     */
+    placePinned(wrap, blocks, entry) {
+      let height = 0;
+      let margin = 0;
+      blocks.forEach((block) => {
+        this.measureOffset = height;
+        const el = block.elFactory();
+        const box = this.measureBox(el);
+        const top = this.startOf(height, margin, box, el);
+        this.addFragment(wrap, entry, block, el, top - height + box.height, { pinned: true });
+        height = top + box.height;
+        margin = box.marginBottom;
+      });
+      return { height, margin };
+    }
+
+    /**
+     * Where an element measured as `box` starts below content ending at
+     * `used` with trailing margin `margin`: the margins collapse as they will
+     * in the region, and on a baseline grid the start snaps down to the next
+     * grid line (applied to `el` as its top margin).
+     */
+    startOf(used, margin, box, el) {
+      let top = used + collapseMargins(margin, box.marginTop);
+      if (this.grid) {
+        // Tolerance keeps sub-pixel noise from skipping a whole grid line
+        top = Math.ceil(top / this.grid - 0.001) * this.grid;
+        el.style.marginTop = `${top - used}px`;
+      }
+      return top;
+    }
+
+    /**
+     * Baseline grid for `region` in px, or 0 when off. A numeric `baseline`
+     * is published as `--flow-baseline` so stylesheets can set line heights
+     * from it.
+     */
+    resolveBaseline(region) {
+      if (!this.baseline) return 0;
+      if (typeof this.baseline === 'number') {
+        region.style.setProperty('--flow-baseline', `${this.baseline}px`);
+      }
+      const grid = typeof this.baseline === 'number'
+        ? this.baseline
+        : parseFloat(getComputedStyle(region).getPropertyValue('--flow-baseline')) || 0;
+      if (grid > 0) region.setAttribute('data-flow-baseline', '');
+      return grid > 0 ? grid : 0;
+    }
+
+    /**
+     * Greedily fills one region's flow container from the head of `queue`,
+     * splitting paragraphs, lists and code where allowed. Placed blocks are
+     * shifted off the queue; a split block stays at the head with its remainder.
+     * Placed fragments are recorded on the layout `entry`.
+     */
+    fillRegion(wrap, queue, availableHeight, entry, start = { height: 0, margin: 0 }) {
+      const label = `Region ${entry.index + 1}`;
+      let used = start.height;
+      let blocksAdded = 0;
+      // Bottom margin of the last placed element: it collapses with the next
+      // one's top margin and never needs room at the end of the region
+      let margin = start.margin;
+
+      while (queue.length > 0) {
+        const remaining = availableHeight - used;
+        this.measureOffset = used;
+        if (remaining <= 0) {
+          this.log(`${label}: No more space (used=${used}, available=${availableHeight})`);
+          break;
+        }
+
+        const block = queue[0];
+        this.log(`${label}: Processing block "${block.text.substring(0, 30)}..."`);
+
+        // Forced break: start the block in a fresh region unless this one is still empty
+        if (block.breakBefore && !block.continued && blocksAdded > 0) {
+          this.log(`${label}: breakBefore on "${block.id}", moving to next region`);
+          break;
+        }
+
+        // Single block fit check. `h` is the space it takes from `used`,
+        // including the collapsed gap above it.
+        const el = this.renderBlock(block);
+        const box = this.measureBox(el);
+        const top = this.startOf(used, margin, box, el);
+        const h = top - used + box.height;
+        this.log(`${label}: Single block height=${h}, remaining=${remaining}`);
+
+        if (h <= remaining) {
+          // Keep-with-next: don't strand the block if what follows can't start here.
+          // An empty region takes it regardless, otherwise it would never be placed.
+          if (block.keepWithNext && blocksAdded > 0 && !this.canKeepWithNext(queue, remaining - h, this.measureOffset + h)) {
+            this.log(`${label}: keepWithNext on "${block.id}", moving to next region`);
+            break;
+          }
+
+          this.addFragment(wrap, entry, block, el, h);
+          used += h;
+          margin = box.marginBottom;
+          queue.shift();
+          blocksAdded++;
+          this.log(`${label}: Added single block (height=${h}, used=${used})`);
+
+          if (block.breakAfter) {
+            this.log(`${label}: breakAfter on "${block.id}", moving to next region`);
+            break;
+          }
+          continue;
+        }
+
+        // Does not fit: split what can be split
+        const split = SPLITTABLE_TYPES.includes(block.type) ? this.splitBlock(block, availableHeight - top) : null;
+        if (!split) {
+          // An unsplittable block taller than a whole region is placed anyway
+          // rather than blocking every block behind it
+          if (block.type !== 'paragraph' && blocksAdded === 0 && start.height === 0 && availableHeight >= entry.availableHeight) {
+            this.addFragment(wrap, entry, block, el, h);
+            used += h;
+            margin = box.marginBottom;
+            queue.shift();
+            blocksAdded++;
+            this.log(`${label}: ${block.type} taller than the region (height=${h}), placed anyway`);
+            continue;
+          }
+          this.log(`${label}: ${block.type} does not fit, moving to next region`);
+          break;
+        }
+
+        // Append the fitting fragment
+        const fragEl = split.element;
+        const fragBox = this.measureBox(fragEl);
+        const fragHeight = this.startOf(used, margin, fragBox, fragEl) - used + fragBox.height;
+        if (fragHeight <= remaining) {
+          const fragment = this.addFragment(wrap, entry, block, fragEl, fragHeight, { continues: true });
+          // How a split paragraph rejoins: a generated hyphen ends this
+          // fragment, or `gap` is the whitespace (if any) dropped at the split
+          if (split.hyphenated) fragment.hyphenated = true;
+          if (typeof split.gap === 'string') fragment.gap = split.gap;
+          if (block.type === 'paragraph') this.justifyFragmentEnd(fragEl);
+          used += fragHeight;
+          margin = fragBox.marginBottom;
+          // Update the queue head with the remainder
+          Object.assign(block, split.rest);
+          block.continued = true;
+          blocksAdded++;
+          this.log(`${label}: Added ${block.type} fragment, remaining: "${block.text.substring(0, 30)}..."`);
+        } else {
+          this.log(`${label}: Fragment measurement changed, moving to next region`);
+          break;
+        }
+      }
+
+      return { used, blocksAdded };
+    }
+
+    /**
+     * Applies the 'spill' policy and announces leftover content. 'clone' and
+     * 'truncate' have already done their work inside the region loop.
+     */
+    handleOverflow(queue, overflow) {
+      this.log(`Overflow (${this.overflow}): ${queue.length} block(s) did not fit`);
+      if (this.overflow === 'spill') {
+        const target = this.resolveOverflowContainer();
+        if (target) {
+          this.spillTarget = target;
+          this.renderLinear(target, queue);
+          target.style.display = 'block';
+        } else {
+          this.error('overflow "spill" needs an overflowContainer');
+        }
+      }
+      this.emit('overflow', { policy: this.overflow, remaining: overflow });
+    }
+
+    resolveOverflowContainer() {
+      if (!this.overflowContainer) return null;
+      if (typeof this.overflowContainer === 'string') return document.querySelector(this.overflowContainer);
+      return this.overflowContainer;
+    }
+
+    renderLinear(target, blocks) {
+      target.innerHTML = '';
+      blocks.forEach((block) => {
+        const el = this.renderBlock(block);
+        this.tagFragment(el, block.id, block.continued ? 'last' : null);
+        target.appendChild(el);
+      });
+    }
+
+    /**
+     * Adds a region for 'clone' right after `after`, built from the overflow
+     * template. Clones are marked so the next flow can remove them.
+     */
+    cloneRegion(after) {
+      let template = this.overflowTemplate ? document.querySelector(this.overflowTemplate) : after;
+      if (template && template.tagName === 'TEMPLATE') template = template.content.firstElementChild;
+      if (!template) {
+        this.error('overflow "clone" template not found', this.overflowTemplate);
+        return null;
+      }
+
+      const clone = template.cloneNode(false);
+      clone.removeAttribute('id');
+      clone.style.display = '';
+      clone.setAttribute('data-flow-clone', this.thread);
+      clone.setAttribute('data-flow-order', String(Number(after.getAttribute('data-flow-order') || '0') + 1));
+      if (this.wrapperSelector) clone.appendChild(this.createWrapper());
+      after.parentNode.insertBefore(clone, after.nextSibling);
+      this.log('Cloned overflow region', clone.className);
+      return clone;
+    }
+
+    createExpander() {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'flow-continue';
+      button.textContent = this.overflowLabel;
+      return button;
+    }
+
+    /**
+     * 'truncate': ends the last region with an ellipsis and an expander that
+     * renders the rest linearly, into overflowContainer or right after the region.
+     */
+    truncate(wrap, expander, queue) {
+      const last = wrap.lastElementChild;
+      if (last) {
+        const ellipsis = document.createElement('span');
+        ellipsis.className = 'flow-ellipsis';
+        ellipsis.textContent = '…';
+        // Inside the last item, a list can only hold <li> children
+        (last.matches('ul, ol') && last.lastElementChild ? last.lastElementChild : last).appendChild(ellipsis);
+      }
+      wrap.appendChild(expander);
+      this.overflowNodes.push(expander);
+
+      const remaining = queue.slice();
+      expander.addEventListener('click', () => {
+        let target = this.resolveOverflowContainer();
+        if (!target) {
+          target = document.createElement('div');
+          target.className = 'flow-overflow';
+          const region = this.regions[this.regions.length - 1];
+          region.parentNode.insertBefore(target, region.nextSibling);
+          this.overflowNodes.push(target);
+        } else {
+          this.spillTarget = target;
+        }
+        this.renderLinear(target, remaining);
+        target.style.display = 'block';
+        if (last) last.querySelectorAll('.flow-ellipsis').forEach((n) => n.remove());
+        expander.remove();
+      });
+    }
+
+    /**
+     * Removes everything a previous overflow pass added: cloned regions,
+     * expanders and spilled content.
+     */
+    clearOverflow() {
+      // Scoped to the root: the print flow is a "main" thread too
+      this.root.querySelectorAll(`[data-flow-clone="${this.thread}"]`).forEach((n) => n.remove());
+      this.regions = this.regions.filter((r) => !r.hasAttribute('data-flow-clone'));
+      this.overflowNodes.forEach((n) => n.remove());
+      this.overflowNodes = [];
+      if (this.spillTarget) {
+        this.spillTarget.innerHTML = '';
+        this.spillTarget.style.display = '';
+        this.spillTarget = null;
+      }
+    }
+
+    getRegionMetrics(region, wrap) {
+      const metrics = this.metrics(region, wrap);
+      this.log(`getRegionMetrics: availableHeight=${metrics.availableHeight}, innerWidth=${metrics.innerWidth}`);
+      return metrics;
+    }
+
+    showRegions(regions) {
+      regions.forEach((region) => {
+        region.style.display = '';
+      });
+    }
+
+    hideEmptyRegions() {
+      this.regions.forEach((region, index) => {
+        const wrap = this.getFlowContainer(region);
+        if (wrap && Array.from(wrap.children).every((child) => child.hasAttribute('data-flow-exclusion'))) {
+          region.style.display = 'none';
+          this.log(`Region ${index + 1}: Hidden (no content)`);
+        }
+      });
+    }
+
+    // Height of `nodes` stacked at the current region width, margins included
+    measureHeight(nodes) {
+      const height = this.measurer.stackHeight(nodes);
+      if (this.stats) this.stats.measurements++;
+      this.log(`MeasureHeight: ${nodes.length} nodes, height=${height}`);
+      return height;
+    }
+
+    /**
+     * Measures one element: its border-box height and the top and bottom
+     * margins it brings (including child margins that collapse through it),
+     * so the flow can collapse them like the region will.
+     * @returns {{height: number, marginTop: number, marginBottom: number}}
+     */
+    measureBox(node) {
+      const box = this.measurer.box(node);
+      if (this.stats) this.stats.measurements++;
+      this.log(`MeasureBox: height=${box.height}, margins=${box.marginTop}/${box.marginBottom}`);
+      return box;
+    }
+
+    // Returns the sandbox to the body once a region is filled
+    releaseSandbox() {
+      if (this.sandbox && this.sandbox.parentNode !== document.body) document.body.appendChild(this.sandbox);
+    }
+
+    splitParagraph(block, availableHeight) {
+      const text = block.text || '';
+      // Words are counted on the rendered text, not the raw HTML, so tags and
+      // attributes never become break opportunities
+      const source = this.parseHtml(text);
+      const words = this.getWordRanges(source.textContent);
+      if (words.length === 0) return { fitsWords: 0, firstText: '', restText: '' };
+
+      // Create measuring element with paragraph style
+      if (this.stats) this.stats.splits++;
+      const measureP = this.renderBlock(block, '');
+      measureP.style.width = '100%';
+      measureP.style.height = 'auto';
+      measureP.style.overflow = 'visible';
+
+      const lineHeight = this.measurer.lineHeight(measureP);
+
+      // Calculate how many lines we can fit, leaving at least orphanProtection
+      // lines here and widowProtection lines for the next region
+      const linesFor = (html) => {
+        measureP.innerHTML = html;
+        if (this.stats) this.stats.measurements++;
+        return this.measurer.lines(measureP);
+      };
+      const totalLines = linesFor(text);
+      // A drop cap must not hang past the end of its fragment
+      const cap = block.continued ? 0 : block.dropCap || 0;
+      const orphans = Math.max(1, block.orphanProtection || 1, cap);
+      const widows = Math.max(1, block.widowProtection || 1);
+      const maxLines = Math.min(Math.floor(availableHeight / lineHeight), totalLines - widows);
+      this.log(`splitParagraph: availableHeight=${availableHeight}, lineHeight=${lineHeight}, totalLines=${totalLines}, maxLines=${maxLines}`);
+
+      if (maxLines < orphans) {
+        this.log(`splitParagraph: Not enough space for ${orphans} line(s) while keeping ${widows} for the next region`);
+        return { fitsWords: 0, firstText: '', restText: text };
+      }
+
+      // Line count only grows with the word count, so binary search for the
+      // largest prefix that fits: ~log2(words) measurements instead of one per word
+      let lo = 0;
+      let hi = words.length;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (linesFor(this.splitHtml(source, words, mid).firstHtml) <= maxLines) {
+          lo = mid;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      // Whitespace splitHtml drops after `n` words: none between units of
+      // scripts written without spaces
+      const gapAfter = (n) => (n < words.length ? source.textContent.slice(words[n - 1].end, words[n].start) : '');
+      const wordSplit = lo > 0 ? this.splitHtml(source, words, lo) : null;
+      let bestWordCount = lo;
+      let bestText = wordSplit ? wordSplit.firstHtml : '';
+      let restText = wordSplit ? wordSplit.restHtml : text;
+      let hyphenated = false;
+      let gap = lo > 0 ? gapAfter(lo) : '';
+      this.log(`splitParagraph: ${bestWordCount} of ${words.length} words fit in ${maxLines} lines`);
+
+      // Fill the last line with as much of the next word as fits, breaking it
+      // at the longest legal hyphenation point
+      if (this.hyphenate && lo < words.length) {
+        const word = words[lo];
+        const points = this.getHyphenationPoints(source.textContent.slice(word.start, word.end));
+        for (let k = points.length - 1; k >= 0; k--) {
+          const at = word.start + points[k];
+          const split = this.splitHtmlAt(source, at, at, true);
+          if (linesFor(split.firstHtml) <= maxLines) {
+            bestText = split.firstHtml;
+            restText = split.restHtml;
+            bestWordCount = lo + 1;
+            hyphenated = true;
+            gap = '';
+            this.log(`splitParagraph: Hyphenated word ${lo + 1} after ${points[k]} characters`);
+            break;
+          }
+        }
+      }
+
+      // If we couldn't fit even one word, try it anyway (only when no line
+      // minimum applies, otherwise a lone word would break the orphan rule)
+      if (bestWordCount === 0 && words.length > 0 && orphans <= 1) {
+        const firstWord = this.splitHtml(source, words, 1).firstHtml;
+        if (linesFor(firstWord) * lineHeight <= availableHeight) {
+          bestText = firstWord;
+          bestWordCount = 1;
+          restText = this.splitHtml(source, words, 1).restHtml;
+          gap = gapAfter(1);
+        }
+      }
+
+      this.log(`splitParagraph: Result - bestWordCount=${bestWordCount}, firstText="${bestText.substring(0, 30)}...", restText="${restText.substring(0, 30)}..."`);
+      return { fitsWords: bestWordCount, firstText: bestText, restText, hyphenated, gap };
+    }
+
+    /**
+     * Splits the head of a splittable block to fit `availableHeight`.
+     * @returns {{element: HTMLElement, rest: Object, hyphenated: boolean, gap: string}|null}
+     *   The fitting fragment, the fields carrying the remainder and, for
+     *   paragraphs, whether a word was hyphenated at the split and the
+     *   whitespace dropped there; or null if nothing fits here
+     */
+    splitBlock(block, availableHeight) {
+      if (block.type === 'paragraph') {
+        const split = this.splitParagraph(block, availableHeight);
+        this.log(`splitBlock: fitsWords=${split.fitsWords}, firstText="${split.firstText.substring(0, 30)}..."`);
+        if (split.fitsWords === 0) return null;
+        return {
+          element: this.renderBlock(block, split.firstText),
+          rest: { text: split.restText },
+          hyphenated: split.hyphenated,
+          gap: split.gap,
+        };
+      }
+
+      if (block.type === 'list') {
+        const n = this.splitUnits(block, block.items, (items) => block.elFactory(items, block.start), availableHeight);
+        if (n === 0) return null;
+        const items = block.items.slice(n);
+        return {
+          element: block.elFactory(block.items.slice(0, n), block.start),
+          rest: { items, start: block.start + n, text: items.join(' ') },
+        };
+      }
+
+      // Code breaks only at newlines, so every line keeps its indentation
+      const lines = block.text.split('\n');
+      const n = this.splitUnits(block, lines, (part) => block.elFactory(part.join('\n')), availableHeight);
+      if (n === 0) return null;
+      return { element: block.elFactory(lines.slice(0, n).join('\n')), rest: { text: lines.slice(n).join('\n') } };
+    }
+
+    /**
+     * Largest number of `units` (list items or code lines) whose rendering
+     * fits `availableHeight`, leaving at least orphanProtection of them here
+     * and widowProtection for the next region. Returns 0 if the block can't
+     * start here.
+     */
+    splitUnits(block, units, render, availableHeight) {
+      const orphans = Math.max(1, block.orphanProtection || 1);
+      const widows = Math.max(1, block.widowProtection || 1);
+      const max = units.length - widows;
+      if (max < orphans) return 0;
+      if (this.stats) this.stats.splits++;
+
+      let lo = 0;
+      let hi = max;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (this.measureBox(render(units.slice(0, mid))).height <= availableHeight) {
+          lo = mid;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      this.log(`splitUnits: ${lo} of ${units.length} ${block.type === 'list' ? 'items' : 'lines'} fit`);
+      return lo >= orphans ? lo : 0;
+    }
+
+    /**
+     * Legal break offsets inside `word` for the current language, from the
+     * measurer's hyphenation (the browser's, for the DOM measurer).
+     */
+    getHyphenationPoints(word) {
+      const key = `${this.lang}:${word}`;
+      if (this.hyphenationCache.has(key)) return this.hyphenationCache.get(key);
+
+      const points = this.measurer.hyphenationPoints ? this.measurer.hyphenationPoints(word, this.lang) : [];
+
+      // Authored soft hyphens are always legal, even where the browser has no dictionary
+      for (let i = 0; i < word.length - 1; i++) {
+        if (word[i] === '\u00AD' && !points.includes(i + 1)) points.push(i + 1);
+      }
+      points.sort((a, b) => a - b);
+
+      this.hyphenationCache.set(key, points);
+      return points;
+    }
+
+    /**
+     * A fragment that ends mid-paragraph has a full last line. Under
+     * `text-align: justify` it should be justified like any other inner line
+     * instead of being set ragged as a paragraph's final line.
+     */
+    justifyFragmentEnd(el) {
+      if (getComputedStyle(el).textAlign === 'justify') {
+        el.style.textAlignLast = 'justify';
+      }
+    }
+
+    parseHtml(html) {
+      const root = document.createElement('div');
+      root.innerHTML = html;
+      return root;
+    }
+
+    /**
+     * Character ranges of the units a paragraph may split between, segmented
+     * for the content's language (see breakUnits). Whitespace inside a
+     * fragment is kept as authored; only the space at the split is dropped.
+     */
+    getWordRanges(text) {
+      return breakUnits(text, this.lang);
+    }
+
+    /**
+     * Maps a character offset in `root.textContent` to a text node position.
+     */
+    locateTextOffset(root, offset) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let seen = 0;
+      let node = walker.nextNode();
+      let last = null;
+      while (node) {
+        const len = node.nodeValue.length;
+        if (offset <= seen + len) return { node, offset: offset - seen };
+        seen += len;
+        last = node;
+        node = walker.nextNode();
+      }
+      return last ? { node: last, offset: last.nodeValue.length } : { node: root, offset: root.childNodes.length };
+    }
+
+    /**
+     * Splits the parsed HTML in `root` after `wordCount` words. Range cloning
+     * closes any element open at the split in the first half and reopens a
+     * copy of it (same tag and attributes) at the start of the second, so a
+     * link or emphasis that straddles the boundary stays intact on both sides.
+     */
+    splitHtml(root, words, wordCount) {
+      if (wordCount >= words.length) return { firstHtml: root.innerHTML, restHtml: '' };
+      // The rest starts at the next word; the whitespace between is dropped
+      return this.splitHtmlAt(root, words[wordCount - 1].end, words[wordCount].start, false);
+    }
+
+    /**
+     * Splits `root` so the first half ends at text offset `endOffset` and the
+     * second starts at `restOffset`. With `hyphen`, the first half ends in a
+     * visible hyphen and any soft hyphen at the break is dropped.
+     */
+    splitHtmlAt(root, endOffset, restOffset, hyphen) {
+      const serialize = (range, addHyphen) => {
+        const out = document.createElement('div');
+        out.appendChild(range.cloneContents());
+        if (addHyphen) {
+          const walker = document.createTreeWalker(out, NodeFilter.SHOW_TEXT);
+          let last = null;
+          while (walker.nextNode()) last = walker.currentNode;
+          if (last) {
+            last.nodeValue = last.nodeValue.replace(/\u00AD$/, '');
+            const mark = document.createElement('span');
+            mark.className = 'flow-hyphen';
+            mark.setAttribute('aria-hidden', 'true');
+            mark.textContent = '-';
+            last.parentNode.insertBefore(mark, last.nextSibling);
+          }
+        }
+        return out.innerHTML;
+      };
+
+      const splitEnd = this.locateTextOffset(root, endOffset);
+      const first = document.createRange();
+      first.setStart(root, 0);
+      first.setEnd(splitEnd.node, splitEnd.offset);
+
+      const restStart = this.locateTextOffset(root, restOffset);
+      const rest = document.createRange();
+      rest.setStart(restStart.node, restStart.offset);
+      rest.setEnd(root, root.childNodes.length);
+
+      return { firstHtml: serialize(first, hyphen), restHtml: serialize(rest, false) };
+    }
+
+    debounce(fn, delay) {
+      let t = null;
+      const debounced = (...args) => {
+        if (t) window.clearTimeout(t);
+        t = window.setTimeout(() => fn.apply(this, args), delay);
+      };
+      debounced.cancel = () => {
+        if (t) window.clearTimeout(t);
+        t = null;
+      };
+      return debounced;
+    }
+  }
+
+  /**
+   * Flows several content sources into their own region chains on one page.
+   * Each thread gets its own TextFlow, so ordering, splitting and overflow are
+   * independent; events from every thread are re-dispatched here with
+   * `detail.thread` set.
+   */
+  class TextFlowGroup extends EventTarget {
+    /**
+     * @param {Object} options - Shared TextFlow options, plus:
+     * @param {Object<string, Object>} options.threads - Per-thread options keyed
+     *   by thread name, e.g. `{ main: { contentUrl }, sidebar: { contentUrl, overflow: 'truncate' } }`
+     */
+    constructor(options) {
+      super();
+      const { threads, ...shared } = options;
+      this.flows = new Map();
+      Object.keys(threads || {}).forEach((thread) => {
+        const flow = new TextFlow({ ...shared, ...threads[thread], thread });
+        flow.group = this;
+        this.flows.set(thread, flow);
+      });
+    }
+
+    get(thread) {
+      return this.flows.get(thread);
+    }
+
+    async init() {
+      const flows = Array.from(this.flows.values());
+      await Promise.all(flows.map((flow) => flow.init()));
+      return this.collect((flow) => flow.layout);
+    }
+
+    reflow() {
+      return this.collect((flow) => flow.reflow());
+    }
+
+    setContent(thread, content) {
+      const flow = this.flows.get(thread);
+      if (!flow) throw new Error(`Unknown thread "${thread}"`);
+      return flow.setContent(content);
+    }
+
+    destroy() {
+      this.flows.forEach((flow) => flow.destroy());
+    }
+
+    /**
+     * Re-dispatches an event a thread emitted, with `detail.thread` added.
+     * @returns {boolean} false if a cancelable event was cancelled here
+     */
+    forward(thread, event) {
+      return this.dispatchEvent(new CustomEvent(event.type, {
+        detail: { ...event.detail, thread },
+        cancelable: event.cancelable,
+      }));
+    }
+
+    // Runs fn per thread and returns the results keyed by thread name
+    collect(fn) {
+      const out = {};
+      this.flows.forEach((flow, thread) => {
+        out[thread] = fn(flow);
+      });
+      return out;
+    }
+  }
+
+  /*
+    Declarative set-up. A container marked `data-text-flow` configures its
+    TextFlow through these data attributes (dataset key -> option, parser):
+
+      <main data-text-flow data-flow-content="content/intro.json"
+            data-flow-media="(min-width: 1281px)" data-flow-fallback="#traditional-container">
+  */
+  const flag = (value) => value !== 'false';
+  const DATA_OPTIONS = {
+    flowContent: ['contentUrl', String],
+    flowFormat: ['format', String],
+    flowRegions: ['regionSelector', String],
+    flowWrapper: ['wrapperSelector', String],
+    flowMedia: ['media', String],
+    flowFallback: ['fallbackContainer', String],
+    flowOverflow: ['overflow', String],
+    flowOverflowContainer: ['overflowContainer', String],
+    flowHideEmpty: ['hideEmptyRegions', flag],
+    flowHyphenate: ['hyphenate', flag],
+    flowLang: ['lang', String],
+    flowFill: ['fill', String],
+    flowMeasurer: ['measurer', String],
+    flowBaseline: ['baseline', (value) => Number(value) || flag(value)],
+    flowDropCap: ['dropCap', (value) => Number(value) || flag(value)],
+    flowDebounce: ['debounceMs', Number],
+    flowDebug: ['debug', flag],
+    flowOverlay: ['overlay', flag],
+    flowReadingCopy: ['readingCopy', flag],
+    flowPermalinks: ['permalinks', flag],
+    flowPrint: ['print', (value) => (value === 'false' ? false : value)],
+  };
+
+  function optionsFromElement(el) {
+    const options = { root: el };
+    Object.keys(DATA_OPTIONS).forEach((key) => {
+      if (el.dataset[key] === undefined) return;
+      const [option, parse] = DATA_OPTIONS[key];
+      options[option] = parse(el.dataset[key]);
+    });
+    return options;
+  }
+
+  const autoFlows = new WeakMap();
+
+  /**
+   * Creates and initialises a TextFlow for every `[data-text-flow]` container
+   * under `root` (once per container). Runs by itself when the script loads.
+   * A container with invalid attributes is reported and skipped, so the
+   * others still flow.
+   * @returns {TextFlow[]}
+   */
+  TextFlow.autoInit = function autoInit(root = document) {
+    const flows = [];
+    Array.from(root.querySelectorAll('[data-text-flow]')).forEach((el) => {
+      if (autoFlows.has(el)) {
+        flows.push(autoFlows.get(el));
+        return;
+      }
+      let flow;
+      try {
+        flow = new TextFlow(optionsFromElement(el));
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('[TextFlow]', 'Could not set up', el, err);
+        return;
+      }
+      autoFlows.set(el, flow);
+      flow.init().catch((err) => flow.error('Auto-init failed', err));
+      flows.push(flow);
+    });
+    return flows;
+  };
+
+  TextFlow.optionsFromElement = optionsFromElement;
+  TextFlow.metricsStrategies = METRICS_STRATEGIES;
+  TextFlow.LineModelMeasurer = LineModelMeasurer;
+  TextFlow.DomMeasurer = DomMeasurer;
+  TextFlow.CanvasMeasurer = CanvasMeasurer;
+  TextFlow.FixedMetricsMeasurer = FixedMetricsMeasurer;
+  TextFlow.parseMarkdown = parseMarkdown;
+  TextFlow.schema = CONTENT_SCHEMA;
+  TextFlow.ContentError = ContentError;
+
+  window.TextFlow = TextFlow;
+  window.TextFlowGroup = TextFlowGroup;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TextFlow.autoInit());
+  } else {
+    TextFlow.autoInit();
+  }
+})();
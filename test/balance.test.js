@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent } = require('./helpers');
+
+function layout(height, fill) {
+  const { flow } = createFlow({ regions: Array(5).fill([320, height]), content: loadContent('algorithm.json'), options: { fill } });
+  const filled = [];
+  flow.addEventListener('regionfilled', (event) => filled.push(event.detail.index));
+  return { ...flow.reflow(), filled };
+}
+
+const heights = (result) => Array.from(result.regions, (entry) => entry.usedHeight);
+
+test('balance costs nothing extra when the story carries on past the group', () => {
+  const greedy = layout(300, 'greedy');
+  const balanced = layout(300, 'balance');
+
+  assert.ok(balanced.overflow.length > 0);
+  assert.deepEqual(heights(balanced), heights(greedy));
+  assert.equal(balanced.stats.measurements, greedy.stats.measurements);
+});
+
+test('balance evens out columns when the story ends in the group', () => {
+  const greedy = layout(900, 'greedy');
+  const balanced = layout(900, 'balance');
+
+  assert.equal(balanced.overflow.length, 0);
+  const used = heights(balanced);
+  assert.ok(Math.max(...used) < Math.max(...heights(greedy)));
+  // Within a few lines of each other (the fixed measurer's lines are 20px)
+  assert.ok(Math.max(...used) - Math.min(...used) <= 60, used.join(', '));
+  assert.deepEqual(balanced.filled, [0, 1, 2, 3, 4]);
+});
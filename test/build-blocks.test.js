@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent } = require('./helpers');
+
+// Arrays built in the jsdom window come from another realm
+const ids = (blocks) => Array.from(blocks, (b) => b.id);
+
+test('buildBlocks keeps every intro.json block in order with its rules', () => {
+  const content = loadContent('intro.json');
+  const { flow } = createFlow();
+  const blocks = flow.buildBlocks(content);
+
+  assert.deepEqual(ids(blocks), ids(content.blocks));
+  const heading = blocks.find((b) => b.id === 'heading-1');
+  assert.equal(heading.type, 'heading');
+  assert.equal(heading.level, 4);
+  assert.equal(heading.keepWithNext, true);
+  assert.equal(heading.breakBefore, true);
+
+  const intro = blocks.find((b) => b.id === 'intro-3');
+  assert.equal(intro.orphanProtection, 1);
+  // Widow protection defaults to the orphan protection
+  assert.equal(intro.widowProtection, 1);
+});
+
+test('buildBlocks marks fallback-only blocks in algorithm.json', () => {
+  const content = loadContent('algorithm.json');
+  const { flow } = createFlow();
+  const blocks = flow.buildBlocks(content);
+
+  assert.equal(blocks.length, content.blocks.length);
+  const quote = blocks.find((b) => b.id === 'quote-1');
+  assert.equal(quote.type, 'blockquote');
+  assert.equal(quote.fallbackOnly, true);
+  assert.equal(quote.attribution, 'user_7392034, 2:14am, incognito tab');
+  assert.equal(blocks.filter((b) => b.fallbackOnly).length, 1);
+});
+
+test('buildBlocks applies defaults and skips invalid and unknown blocks', () => {
+  const { flow } = createFlow();
+  const blocks = flow.buildBlocks({
+    blocks: [
+      { type: 'heading', text: 'Title' },
+      { type: 'paragraph', text: 'Kept' },
+      { type: 'paragraph', text: 'Rejected by validation' },
+      { type: 'sidebar', text: 'Unknown' },
+    ],
+  }, new Set([2]));
+
+  assert.deepEqual(ids(blocks), ['blk-0', 'blk-1']);
+  assert.equal(blocks[0].level, 2);
+  assert.equal(blocks[1].orphanProtection, 2);
+  assert.equal(blocks[1].keepWithNext, false);
+  assert.equal(blocks[1].elFactory().textContent, 'Kept');
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, copyRegions } = require('./helpers');
+
+// One 22-character line in the first region, the rest in the second
+function flowSplit(text, options, chars = 22) {
+  const { flow, document } = createFlow({
+    regions: [[chars * 8, 20], [chars * 8, 200]],
+    content: { blocks: [{ id: 'p', type: 'paragraph', text, orphanProtection: 1 }] },
+    options,
+  });
+  const layout = flow.reflow();
+  assert.equal(layout.regions[0].fragments[0].continues, true);
+  return { flow, document, layout };
+}
+
+test('copying across regions rejoins a split paragraph with a space', () => {
+  const { flow, document } = flowSplit('aaaa bbbb cccc dddd eeee ffff');
+  assert.equal(copyRegions(document, flow)['text/plain'], 'aaaa bbbb cccc dddd eeee ffff');
+});
+
+test('copying drops the generated hyphen and rejoins the word, permalinks or not', () => {
+  [false, true].forEach((permalinks) => {
+    const { flow, document, layout } = flowSplit('aaaa bbbb cccc extra\u00ADordinary dddd', { hyphenate: true, permalinks });
+    assert.equal(layout.regions[0].fragments[0].hyphenated, true);
+    const data = copyRegions(document, flow);
+    assert.equal(data['text/plain'], 'aaaa bbbb cccc extraordinary dddd', `permalinks: ${permalinks}`);
+    assert.doesNotMatch(data['text/html'], /flow-hyphen|flow-permalink/);
+  });
+});
+
+test('copying rejoins a split in unspaced text without adding a space', () => {
+  const text = '吾輩は猫である。名前はまだ無い。どこで生れたかとんと見当がつかぬ。';
+  const { flow, document, layout } = flowSplit(text, { lang: 'ja' }, 12);
+  assert.equal(layout.regions[0].fragments[0].gap, '');
+  assert.equal(copyRegions(document, flow)['text/plain'], text);
+});
+
+test('copying keeps the whitespace that was at the split', () => {
+  const text = 'aaaa bbbb cccc\u00A0ddddd\u3000eeee ffff';
+  const { flow, document, layout } = flowSplit(text, { lang: 'en' });
+  assert.equal(layout.regions[0].fragments[0].gap, '\u3000');
+  assert.equal(copyRegions(document, flow)['text/plain'], text);
+});
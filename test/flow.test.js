@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent, fragmentsOf } = require('./helpers');
+
+const ids = (list) => Array.from(list, (b) => b.id);
+
+// Block ids in the order they were placed, one entry per fragment
+function placed(layout) {
+  return Array.from(layout.regions).flatMap((entry) => Array.from(entry.fragments, (f) => f.blockId));
+}
+
+test('flow() places all of intro.json in order when the regions have room', () => {
+  const content = loadContent('intro.json');
+  const { flow, document } = createFlow({ regions: [[320, 1200], [320, 1200]], content });
+  const layout = flow.reflow();
+
+  assert.equal(layout.overflow.length, 0);
+  assert.deepEqual(placed(layout), ids(content.blocks));
+  layout.regions.forEach((entry) => assert.ok(entry.usedHeight <= entry.availableHeight));
+  // heading-1 has breakBefore, so it opens the second region
+  assert.equal(layout.regions[1].fragments[0].blockId, 'heading-1');
+  assert.equal(document.querySelectorAll('.region')[1].firstElementChild.getAttribute('data-flow-block'), 'heading-1');
+});
+
+test('flow() splits paragraphs across regions and keeps headings with the next block', () => {
+  const content = loadContent('intro.json');
+  const { flow, document } = createFlow({ regions: [[320, 300], [320, 300], [320, 300], [320, 300]], content });
+  const layout = flow.reflow();
+
+  const order = placed(layout).filter((id, i, all) => id !== all[i - 1]);
+  assert.deepEqual(order, ids(content.blocks).slice(0, order.length));
+  const split = Array.from(layout.regions).flatMap((entry) => Array.from(entry.fragments)).filter((f) => f.continues);
+  assert.ok(split.length > 0);
+  split.forEach((fragment) => assert.equal(fragmentsOf(document, fragment.blockId).length > 1, true));
+
+  layout.regions.forEach((entry) => {
+    const last = entry.fragments[entry.fragments.length - 1];
+    if (!last) return;
+    const block = flow.blocks.find((b) => b.id === last.blockId);
+    assert.equal(block.keepWithNext, false, `${last.blockId} ends region ${entry.index + 1}`);
+  });
+});
+
+test('flow() reports what does not fit as overflow', () => {
+  const content = loadContent('intro.json');
+  const { flow } = createFlow({ regions: [[320, 400], [320, 400]], content });
+  const layout = flow.reflow();
+
+  assert.ok(layout.overflow.length > 0);
+  // The rest of the story, starting with the remainder of any split block
+  assert.deepEqual(ids(layout.overflow), ids(content.blocks).slice(-layout.overflow.length));
+  const [first] = layout.overflow;
+  assert.equal(first.continued, placed(layout).includes(first.id));
+  assert.equal(layout.regions.every((entry) => entry.usedHeight <= entry.availableHeight), true);
+});
+
+test('flow() spills the overflow of algorithm.json into the overflow container', () => {
+  const content = loadContent('algorithm.json');
+  const { flow, document } = createFlow({
+    regions: [[320, 500], [320, 500]],
+    content,
+    body: '<div id="spill"></div>',
+    options: { overflow: 'spill', overflowContainer: '#spill' },
+  });
+  const layout = flow.reflow();
+
+  assert.ok(layout.overflow.length > 0);
+  const spill = document.querySelector('#spill');
+  const first = layout.overflow[0];
+  assert.equal(spill.querySelector('[data-flow-block]').getAttribute('data-flow-block'), first.id);
+  // The fallback-only quote is never flowed
+  assert.equal(document.querySelector('[data-flow-block="quote-1"]'), null);
+});
+
+test('flow() skips regions without room and flows past them', () => {
+  const content = loadContent('algorithm.json');
+  const { flow } = createFlow({ regions: [[320, 600], [0, 0], [320, 600]], content });
+  const layout = flow.reflow();
+
+  assert.equal(layout.regions[1].fragments.length, 0);
+  assert.ok(layout.regions[0].fragments.length > 0);
+  assert.ok(layout.regions[2].fragments.length > 0);
+  const order = placed(layout).filter((id, i, all) => id !== all[i - 1]);
+  const flowed = ids(content.blocks).filter((id) => id !== 'quote-1');
+  assert.deepEqual(order, flowed.slice(0, order.length));
+});
+
+test('flow() leaves hidden regions out and flows past them', () => {
+  const content = loadContent('algorithm.json');
+  const { flow, document } = createFlow({ regions: [[320, 600], [320, 600], [320, 600]], content });
+  const hidden = document.querySelectorAll('.region')[1];
+  hidden.style.display = 'none';
+  const layout = flow.reflow();
+
+  assert.equal(layout.regions.length, 2);
+  assert.equal(layout.regions.some((entry) => entry.element === hidden), false);
+  assert.equal(hidden.children.length, 0);
+  const order = placed(layout).filter((id, i, all) => id !== all[i - 1]);
+  const flowed = ids(content.blocks).filter((id) => id !== 'quote-1');
+  assert.deepEqual(order, flowed.slice(0, order.length));
+  assert.ok(layout.regions[1].fragments.length > 0);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, loadContent } = require('./helpers');
+
+function createGroup() {
+  const window = createWindow(`
+    <div class="region" data-flow-order="1" data-width="320" data-height="400"></div>
+    <aside class="region" data-flow-thread="sidebar" data-width="200" data-height="100"></aside>
+    <div id="linear"></div>`);
+  const group = new window.TextFlowGroup({
+    regionSelector: '.region',
+    measurer: 'fixed',
+    metrics: (region) => ({
+      availableHeight: Number(region.getAttribute('data-height')),
+      innerWidth: Number(region.getAttribute('data-width')),
+    }),
+    dev: false,
+    threads: {
+      main: { fallbackContainer: '#linear' },
+      sidebar: { overflow: 'truncate' },
+    },
+  });
+  group.flows.forEach((flow, thread) => {
+    flow.applyContent(loadContent(thread === 'main' ? 'intro.json' : 'algorithm.json'), new Set());
+    flow.createSandbox();
+  });
+  return { window, group };
+}
+
+test('TextFlowGroup re-dispatches every event its threads emit', async () => {
+  const { group } = createGroup();
+  const seen = [];
+  ['afterflow', 'overflow', 'fallback'].forEach((type) => {
+    group.addEventListener(type, (event) => seen.push(`${event.detail.thread}:${type}`));
+  });
+
+  group.reflow();
+  await group.get('main').renderFallback();
+  assert.deepEqual(seen, ['main:overflow', 'main:afterflow', 'sidebar:overflow', 'sidebar:afterflow', 'main:fallback']);
+});
+
+test('cancelling beforeflow on the group cancels that thread only', () => {
+  const { group } = createGroup();
+  group.addEventListener('beforeflow', (event) => {
+    if (event.detail.thread === 'sidebar') event.preventDefault();
+  });
+
+  const layouts = group.reflow();
+  assert.ok(layouts.main);
+  assert.equal(layouts.sidebar, null);
+});
+
+test('data-flow-baseline="false" turns the grid off', () => {
+  const window = createWindow();
+  const el = window.document.createElement('main');
+  const baseline = (value) => {
+    el.setAttribute('data-flow-baseline', value);
+    return window.TextFlow.optionsFromElement(el).baseline;
+  };
+  assert.equal(baseline('false'), false);
+  assert.equal(baseline(''), true);
+  assert.equal(baseline('24'), 24);
+});
+
+test('autoInit skips a container with invalid attributes and sets up the rest', () => {
+  const window = createWindow();
+  const { document } = window;
+  document.body.innerHTML = `
+    <main data-text-flow data-flow-overflow="spil"></main>
+    <main data-text-flow data-flow-fill="balanced"></main>
+    <main data-text-flow id="valid"></main>`;
+  const errors = [];
+  window.console.error = (...args) => errors.push(args);
+
+  const flows = window.TextFlow.autoInit();
+  assert.equal(flows.length, 1);
+  assert.equal(flows[0].root, document.querySelector('#valid'));
+  assert.match(String(errors[0][3]), /Unknown overflow policy "spil"/);
+  assert.match(String(errors[1][3]), /Unknown fill mode "balanced"/);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+// Loads js/text-flow.js into a fresh jsdom window and builds TextFlow
+// instances that measure with the fixed-metrics measurer, so the flow
+// engine runs without a browser.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const ENGINE = fs.readFileSync(path.join(ROOT, 'js', 'text-flow.js'), 'utf8');
+
+function loadContent(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'content', name), 'utf8'));
+}
+
+/**
+ * @param {string} [body] - Markup for the page body
+ * @returns {Window} A window with TextFlow and TextFlowGroup defined
+ */
+function createWindow(body = '') {
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><body>${body}</body></html>`, {
+    url: 'https://example.test/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+  });
+  dom.window.eval(ENGINE);
+  return dom.window;
+}
+
+// Regions are sized with data-height and data-width, as jsdom has no layout
+function regionMarkup(sizes) {
+  return sizes
+    .map(([width, height], i) => `<div class="region" data-flow-order="${i + 1}" data-width="${width}" data-height="${height}"></div>`)
+    .join('');
+}
+
+function sizeFromData(region) {
+  return {
+    availableHeight: Number(region.getAttribute('data-height')) || 0,
+    innerWidth: Number(region.getAttribute('data-width')) || 0,
+  };
+}
+
+/**
+ * A TextFlow over `regions` (`[width, height]` pairs) with `content` applied
+ * and its sandbox created, ready for flow() or reflow().
+ */
+function createFlow({ regions = [], content, body = '', options = {} } = {}) {
+  const window = createWindow(regionMarkup(regions) + body);
+  const flow = new window.TextFlow({
+    regionSelector: '.region',
+    measurer: new window.TextFlow.FixedMetricsMeasurer({ margins: { p: [0, 10], h2: [20, 10] } }),
+    metrics: sizeFromData,
+    dev: false,
+    ...options,
+  });
+  if (content) {
+    const { problems, invalidBlocks } = flow.checkContent(content);
+    if (!problems) throw new Error('Test content was rejected');
+    flow.applyContent(content, invalidBlocks);
+  }
+  flow.createSandbox();
+  return { window, document: window.document, flow };
+}
+
+// Text of every placed fragment of `blockId`, in flow order
+function fragmentsOf(document, blockId) {
+  return Array.from(document.querySelectorAll(`.region [data-flow-block="${blockId}"]`));
+}
+
+/**
+ * Selects everything from the first region to the last and copies it
+ * through the flow's copy handler.
+ * @returns {Object<string, string>} Clipboard data by type
+ */
+function copyRegions(document, flow) {
+  const regions = document.querySelectorAll('.region');
+  const last = regions[regions.length - 1];
+  const range = document.createRange();
+  range.setStart(regions[0], 0);
+  range.setEnd(last, last.childNodes.length);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  const data = {};
+  flow.handleCopy({
+    clipboardData: { setData: (type, value) => { data[type] = value; } },
+    preventDefault() {},
+  });
+  return data;
+}
+
+module.exports = { createWindow, createFlow, loadContent, fragmentsOf, copyRegions };
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, copyRegions } = require('./helpers');
+
+const content = {
+  blocks: [
+    { id: 'a', type: 'paragraph', text: 'placed' },
+    { id: 'b', type: 'paragraph', text: 'spilled' },
+  ],
+};
+
+// What tools/prerender.js writes for a region with room for "a" only.
+// jsdom regions measure 0x0, so that is the size they were "laid out" at.
+function prerendered(regionSize = 'data-flow-size="0x0"') {
+  return createFlow({
+    content,
+    body: `
+      <div class="region" data-flow-order="1" ${regionSize} data-height="20" data-width="320"><p class="flow-p" data-flow-block="a" id="a">placed</p></div>
+      <div id="spill" style="display: block"><p class="flow-p" data-flow-block="b" id="b">spilled</p></div>`,
+    options: { overflow: 'spill', overflowContainer: '#spill' },
+  });
+}
+
+test('hydrate() keeps a matching pre-rendered layout', () => {
+  const { flow, document } = prerendered();
+  assert.equal(flow.hydrate(), true);
+  assert.equal(document.querySelector('.region').textContent, 'placed');
+  assert.equal(document.querySelector('.region').hasAttribute('data-flow-size'), false);
+});
+
+test('a reflow after hydrate() replaces the pre-rendered spill', () => {
+  const { flow, document } = prerendered();
+  assert.equal(flow.hydrate(), true);
+  document.querySelector('.region').setAttribute('data-height', '200');
+  const layout = flow.reflow();
+
+  assert.equal(layout.overflow.length, 0);
+  assert.equal(document.querySelector('.region').textContent, 'placedspilled');
+  assert.equal(document.querySelector('#spill').textContent, '');
+});
+
+test('destroy() after hydrate() clears the pre-rendered regions and spill', () => {
+  const { flow, document } = prerendered();
+  assert.equal(flow.hydrate(), true);
+  flow.destroy();
+
+  assert.equal(document.querySelector('.region').textContent, '');
+  assert.equal(document.querySelector('#spill').textContent, '');
+});
+
+test('hydrate() reflows when a visible region has no recorded size', () => {
+  const { flow, document } = prerendered();
+  const late = document.createElement('div');
+  late.className = 'region';
+  late.setAttribute('data-flow-order', '2');
+  document.body.appendChild(late);
+
+  assert.equal(flow.hydrate(), false);
+  // Regions hidden at this viewport don't count
+  const { flow: hiddenFlow, document: hiddenDocument } = prerendered();
+  const hidden = hiddenDocument.createElement('div');
+  hidden.className = 'region';
+  hidden.style.display = 'none';
+  hiddenDocument.body.appendChild(hidden);
+  assert.equal(hiddenFlow.hydrate(), true);
+});
+
+test('hydrate() reflows when a region size differs', () => {
+  const { flow } = prerendered('data-flow-size="320x20"');
+  assert.equal(flow.hydrate(), false);
+});
+
+const split = {
+  blocks: [
+    { id: 's', type: 'paragraph', text: 'one two three' },
+    { id: 'b', type: 'paragraph', text: 'spilled' },
+  ],
+};
+
+function prerenderedSplit(options = {}) {
+  return createFlow({
+    content: split,
+    body: `
+      <div class="region" data-flow-order="1" data-flow-size="0x0" data-height="20" data-width="320"><p class="flow-p" data-flow-block="s" data-flow-fragment="first" id="s">one two<a class="flow-permalink" href="#s"></a></p></div>
+      <div class="region" data-flow-order="2" data-flow-size="0x0" data-height="20" data-width="320"><p class="flow-p" data-flow-block="s" data-flow-fragment="last">three</p></div>
+      <div id="spill" style="display: block"><p class="flow-p" data-flow-block="b" id="b">spilled</p></div>`,
+    options: { overflow: 'spill', overflowContainer: '#spill', ...options },
+  });
+}
+
+test('hydrate() reads the kept layout back from the page', () => {
+  const { flow, document } = prerenderedSplit();
+  assert.equal(flow.hydrate(), true);
+
+  const { layout } = flow;
+  assert.equal(layout.thread, 'main');
+  assert.deepEqual(Array.from(layout.regions, (entry) => Array.from(entry.blockIds)), [['s'], ['s']]);
+  const [first, last] = layout.regions.map((entry) => entry.fragments[0]);
+  assert.equal(first.element, document.querySelector('#s'));
+  assert.equal(first.continues, true);
+  assert.equal(first.gap, ' ');
+  assert.equal(last.role, 'last');
+  assert.equal(last.continued, true);
+  assert.deepEqual(Array.from(layout.overflow, (b) => b.id), ['b']);
+});
+
+test('copying across kept regions rejoins the split paragraph', () => {
+  const { flow, document } = prerenderedSplit();
+  flow.hydrate();
+  const data = copyRegions(document, flow);
+  assert.equal(data['text/plain'], 'one two three');
+});
+
+test('hydrate() re-attaches the kept permalinks', async () => {
+  const { flow, document, window } = prerenderedSplit();
+  const copied = [];
+  Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: async (url) => copied.push(url) }, configurable: true });
+  const events = [];
+  flow.addEventListener('linkcopy', (event) => events.push(event.detail));
+  flow.hydrate();
+
+  document.querySelector('.flow-permalink').click();
+  await new Promise((resolve) => setTimeout(resolve));
+  assert.deepEqual(copied, ['https://example.test/#s']);
+  assert.deepEqual(events.map((detail) => detail.blockId), ['s']);
+});
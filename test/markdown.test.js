@@ -0,0 +1,24 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers');
+
+const { TextFlow } = createWindow();
+
+test('parseMarkdown turns a standalone image into an image block', () => {
+  const { blocks } = TextFlow.parseMarkdown('![A ferry](ferry.jpg "Crossing at dawn")');
+  assert.equal(blocks[0].type, 'image');
+  assert.equal(blocks[0].src, 'ferry.jpg');
+  assert.equal(blocks[0].alt, 'A ferry');
+  assert.equal(blocks[0].caption, 'Crossing at dawn');
+});
+
+test('parseMarkdown renders inline images inside text', () => {
+  const { blocks } = TextFlow.parseMarkdown('Press ![the *save* icon](icons/save.svg "Save") then [read on](next.html).');
+  assert.equal(blocks[0].type, 'paragraph');
+  assert.equal(
+    blocks[0].text,
+    'Press <img src="icons/save.svg" alt="the *save* icon" title="Save"> then <a href="next.html">read on</a>.',
+  );
+});
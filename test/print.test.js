@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent } = require('./helpers');
+
+test('print pages leave the screen flow and its ids alone', () => {
+  const { window, flow, document } = createFlow({
+    regions: [[320, 300]],
+    content: loadContent('intro.json'),
+    options: { overflow: 'clone' },
+  });
+  flow.reflow();
+  const screen = () => document.querySelectorAll('.region [data-flow-block]').length;
+  const before = screen();
+  assert.ok(document.querySelectorAll('[data-flow-clone]').length > 0);
+
+  // The print flow measures with page CSS; jsdom has none, so give page bodies a box
+  const { prototype } = window.HTMLElement;
+  const rect = prototype.getBoundingClientRect;
+  prototype.getBoundingClientRect = function getBoundingClientRect() {
+    if (!this.classList.contains('flow-page-body')) return rect.call(this);
+    return { top: 0, left: 0, right: 600, bottom: 900, width: 600, height: 900 };
+  };
+
+  flow.renderPrint();
+  assert.equal(document.querySelectorAll('.flow-print [data-flow-block]').length, flow.blocks.length);
+  assert.equal(screen(), before);
+  assert.equal(document.querySelectorAll('#intro-1').length, 1);
+  assert.equal(document.querySelector('.flow-print [id]'), null);
+
+  flow.clearPrint();
+  assert.equal(screen(), before);
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent } = require('./helpers');
+
+function flowIntro(options) {
+  const { flow, document } = createFlow({ regions: [[320, 300], [320, 300], [320, 900]], content: loadContent('intro.json'), options });
+  flow.reflow();
+  return document;
+}
+
+test('links in hidden fragments leave the tab order and the copy keeps them', () => {
+  const document = flowIntro();
+  const copy = document.querySelector('[data-flow-reading-copy="main"]');
+  assert.ok(copy);
+
+  const placedLinks = document.querySelectorAll('.region a.inline-link');
+  assert.ok(placedLinks.length > 0);
+  placedLinks.forEach((link) => {
+    assert.ok(link.closest('[aria-hidden="true"]'));
+    assert.equal(link.getAttribute('tabindex'), '-1');
+  });
+
+  const copyLinks = copy.querySelectorAll('a.inline-link');
+  assert.equal(copyLinks.length, 1);
+  assert.equal(copyLinks[0].hasAttribute('tabindex'), false);
+});
+
+test('permalinks are reachable through the reading copy', () => {
+  const document = flowIntro({ permalinks: true });
+  const copy = document.querySelector('[data-flow-reading-copy="main"]');
+
+  document.querySelectorAll('.region .flow-permalink').forEach((link) => assert.equal(link.getAttribute('tabindex'), '-1'));
+  const copyLinks = Array.from(copy.querySelectorAll('.flow-permalink'), (link) => link.getAttribute('href'));
+  assert.ok(copyLinks.includes('#intro-1'));
+  copy.querySelectorAll('.flow-permalink').forEach((link) => assert.equal(link.hasAttribute('tabindex'), false));
+});
+
+test('the reading copy is shown while one of its links has focus', () => {
+  const document = flowIntro();
+  const copy = document.querySelector('[data-flow-reading-copy="main"]');
+  const style = document.head.querySelector('style[data-flow-reading-copy-styles]');
+  assert.ok(style);
+  assert.match(style.textContent, /\.flow-reading-copy:not\(:focus-within\)/);
+  assert.match(style.textContent, /\.flow-reading-copy:focus-within/);
+  // The clip lives in the stylesheet, where :focus-within can lift it
+  assert.equal(copy.style.clip, '');
+  assert.equal(copy.style.position, '');
+
+  assert.equal(copy.matches(':focus-within'), false);
+  copy.querySelector('a.inline-link').focus();
+  assert.equal(copy.matches(':focus-within'), true);
+});
+
+test('the reading copy styles are added once', () => {
+  const { flow, document } = createFlow({ regions: [[320, 300], [320, 900]], content: loadContent('intro.json') });
+  flow.reflow();
+  flow.reflow();
+  assert.equal(document.querySelectorAll('style[data-flow-reading-copy-styles]').length, 1);
+});
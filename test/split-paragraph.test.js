@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent } = require('./helpers');
+
+// The fixed measurer sets 8px characters on 20px lines
+const LINE = 20;
+
+function setup(options) {
+  const content = loadContent('intro.json');
+  const { flow } = createFlow({ content, options });
+  flow.measurer.setWidth(320);
+  const block = (id) => flow.blocks.find((b) => b.id === id);
+  return { flow, block };
+}
+
+function words(html, document) {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div.textContent.split(/\s+/).filter(Boolean);
+}
+
+test('splitParagraph fills the available lines and keeps every word', () => {
+  const { flow, block } = setup();
+  const paragraph = block('intro-2');
+  const split = flow.splitParagraph(paragraph, 4 * LINE);
+
+  assert.ok(split.fitsWords > 0);
+  const first = flow.renderBlock(paragraph, split.firstText);
+  assert.equal(flow.measurer.lines(first), 4);
+  const { document } = first.ownerDocument.defaultView;
+  assert.deepEqual(
+    [...words(split.firstText, document), ...words(split.restText, document)],
+    words(paragraph.text, document),
+  );
+});
+
+test('splitParagraph keeps a link straddling the split on both sides', () => {
+  const { flow, block } = setup();
+  const paragraph = block('intro-1');
+  // Find the height that ends the first fragment inside "wrote an article"
+  for (let lines = 1; lines < 10; lines++) {
+    const split = flow.splitParagraph(paragraph, lines * LINE);
+    const parsed = flow.parseHtml(split.firstText);
+    const anchor = parsed.querySelector('a.inline-link');
+    if (!anchor || anchor.textContent === 'wrote an article') continue;
+    assert.match(split.restText, /^<a href="[^"]+" class="inline-link">/);
+    return;
+  }
+  assert.fail('no split fell inside the link');
+});
+
+test('splitParagraph leaves orphans and widows to the protection rules', () => {
+  const { flow, block } = setup();
+  const paragraph = block('intro-1');
+  // Two lines are required here, so one line of room fits nothing
+  assert.equal(flow.splitParagraph(paragraph, LINE).fitsWords, 0);
+
+  const totalLines = flow.measurer.lines(flow.renderBlock(paragraph));
+  const split = flow.splitParagraph(paragraph, totalLines * LINE);
+  const rest = flow.renderBlock(paragraph, split.restText);
+  assert.equal(flow.measurer.lines(rest), paragraph.widowProtection);
+});
+
+test('splitParagraph breaks at an authored soft hyphen', () => {
+  const { flow } = setup({ hyphenate: true });
+  const [paragraph] = flow.buildBlocks({
+    blocks: [{ type: 'paragraph', text: 'aaaa bbbb cccc extra\u00ADordinary', orphanProtection: 1 }],
+  });
+  flow.measurer.setWidth(22 * 8);
+  const split = flow.splitParagraph(paragraph, LINE);
+
+  assert.equal(split.hyphenated, true);
+  assert.match(split.firstText, /extra<span class="flow-hyphen" aria-hidden="true">-<\/span>$/);
+  assert.equal(split.restText, 'ordinary');
+});
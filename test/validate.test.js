@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFlow, loadContent } = require('./helpers');
+
+const { flow } = createFlow();
+
+test('validateContent accepts the bundled content', () => {
+  ['intro.json', 'algorithm.json'].forEach((name) => {
+    const { problems, invalidBlocks } = flow.validateContent(loadContent(name));
+    assert.equal(problems.length, 0, name);
+    assert.equal(invalidBlocks.size, 0, name);
+  });
+});
+
+test('validateContent warns about an id reused by a block of unknown type', () => {
+  const { problems, invalidBlocks } = flow.validateContent({
+    blocks: [
+      { id: 'intro', type: 'paragraph', text: 'First' },
+      { id: 'intro', type: 'paragrpah', text: 'Typo' },
+      { id: 'intro', text: 'No type' },
+    ],
+  });
+
+  assert.deepEqual(Array.from(invalidBlocks), [1, 2]);
+  const duplicates = problems.filter((p) => p.message.startsWith('duplicate id'));
+  assert.deepEqual(Array.from(duplicates, (p) => p.path), ['/blocks/1/id', '/blocks/2/id']);
+  assert.match(problems.find((p) => p.path === '/blocks/1/type').message, /did you mean "paragraph"/);
+});
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/*
+  Pre-renders a flowed page to static HTML, one file per viewport, so readers
+  and crawlers get the article text before any script runs.
+
+    node tools/prerender.js prerender.json [--out dir] [--viewport 1440x900 ...]
+
+  The page is loaded into jsdom and laid out by js/text-flow.js itself, with a
+  measurer that wraps words using advance widths from local font files. jsdom
+  has no layout engine, so the config also gives each region's size per
+  viewport and the font, size, line height and margins of each kind of
+  element (see README "Pre-rendering"). Needs the devDependencies in
+  package.json (`npm install`).
+
+  Each output region records the size it was laid out at in `data-flow-size`;
+  the client keeps the pre-rendered text while the live regions match.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM } = require('jsdom');
+const opentype = require('opentype.js');
+
+const ENGINE = path.join(__dirname, '..', 'js', 'text-flow.js');
+
+function usage(message) {
+  if (message) console.error(`prerender: ${message}`);
+  console.error('usage: node tools/prerender.js <config.json> [--out dir] [--viewport WxH ...]');
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { config: null, out: null, viewports: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--viewport') args.viewports.push(argv[++i]);
+    else if (arg.startsWith('--')) usage(`unknown option ${arg}`);
+    else args.config = arg;
+  }
+  if (!args.config) usage();
+  return args;
+}
+
+function parseViewport(key) {
+  const match = /^(\d+)x(\d+)$/.exec(key);
+  if (!match) throw new Error(`Viewport "${key}" must look like 1440x900`);
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// Enough of media queries for breakpoints: (min|max)-(width|height) joined by `and`
+function matchesMedia(query, viewport) {
+  return query.split(/\s+and\s+/).every((part) => {
+    const match = /^\(\s*(min|max)-(width|height)\s*:\s*(\d+(?:\.\d+)?)px\s*\)$/.exec(part.trim());
+    if (!match) throw new Error(`Unsupported media query "${query}"`);
+    const value = viewport[match[2]];
+    const limit = Number(match[3]);
+    return match[1] === 'min' ? value >= limit : value <= limit;
+  });
+}
+
+function loadFonts(fonts, baseDir) {
+  const loaded = {};
+  Object.keys(fonts).forEach((name) => {
+    const data = fs.readFileSync(path.resolve(baseDir, fonts[name]));
+    loaded[name] = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  });
+  return loaded;
+}
+
+// Glyph advances plus pair kerning. Skips opentype.js's shaper, which rejects
+// GSUB lookups common fonts use; ligatures barely move line breaks anyway
+function advanceWidth(font, text, size) {
+  let width = 0;
+  let prev = null;
+  for (const char of text) {
+    const glyph = font.charToGlyph(char);
+    if (prev) width += font.getKerningValue(prev, glyph);
+    width += glyph.advanceWidth || 0;
+    prev = glyph;
+  }
+  return (width * size) / font.unitsPerEm;
+}
+
+/**
+ * Line-model measurer backed by font files. `styles` is keyed by `tag.class`,
+ * `tag` or `default`; each entry names a loaded font and gives its size, line
+ * height, `[top, bottom]` margins, horizontal indent and letter spacing in px.
+ */
+function createFontMetricsMeasurer(window, fonts, styles) {
+  return new (class FontMetricsMeasurer extends window.TextFlow.LineModelMeasurer {
+    constructor() {
+      super();
+      this.widths = new Map();
+    }
+
+    style(el) {
+      const tag = el.tagName.toLowerCase();
+      const key = Array.from(el.classList).map((cls) => `${tag}.${cls}`).find((k) => styles[k]);
+      const style = styles[key || tag] || styles.default;
+      if (!style) throw new Error(`No style for <${tag}> and no default style`);
+      const [marginTop, marginBottom] = style.margin || [0, 0];
+      return {
+        font: style.font,
+        size: style.size,
+        letterSpacing: style.letterSpacing || 0,
+        lineHeight: style.lineHeight,
+        marginTop,
+        marginBottom,
+        indent: style.indent || 0,
+      };
+    }
+
+    wordWidth(word, style) {
+      const key = `${style.font}|${style.size}|${style.letterSpacing}|${word}`;
+      if (!this.widths.has(key)) {
+        const font = fonts[style.font];
+        if (!font) throw new Error(`Unknown font "${style.font}"`);
+        this.widths.set(key, advanceWidth(font, word, style.size) + style.letterSpacing * word.length);
+      }
+      return this.widths.get(key);
+    }
+  })();
+}
+
+function renderViewport({ html, pagePath, engine, source, isMarkdown, config, fonts, key }) {
+  const viewport = parseViewport(key);
+  const sizes = config.viewports[key].regions || {};
+  const dom = new JSDOM(html, { url: pathToFileURL(pagePath).href, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const { document } = window;
+
+  // Set up the container by hand: auto-init would fetch and measure in jsdom
+  const container = document.querySelector('[data-text-flow]');
+  if (!container) throw new Error(`${pagePath} has no [data-text-flow] container`);
+  container.removeAttribute('data-text-flow');
+  window.eval(engine);
+  container.setAttribute('data-text-flow', '');
+
+  const { TextFlow } = window;
+  const options = TextFlow.optionsFromElement(container);
+  const metrics = new Map();
+  const flow = new TextFlow({
+    ...options,
+    debug: false,
+    dev: false,
+    measurer: createFontMetricsMeasurer(window, fonts, config.styles || {}),
+    metrics: (region) => metrics.get(region) || { availableHeight: 0, innerWidth: 0 },
+  });
+
+  const content = isMarkdown ? TextFlow.parseMarkdown(source) : JSON.parse(source);
+  const { problems, invalidBlocks } = flow.checkContent(content);
+  if (!problems) throw new Error('Content was rejected, see the problems above');
+  flow.applyContent(content, invalidBlocks);
+  flow.blocks
+    .filter((b) => b.type === 'image' && !(b.width && b.height))
+    .forEach((b) => console.warn(`prerender: image ${b.src} has no width/height and is laid out as 0px tall`));
+
+  if (options.media && !matchesMedia(options.media, viewport)) {
+    // Linear mode; page CSS already hides the regions at this size
+    const target = document.querySelector(flow.fallbackContainer);
+    if (!target) throw new Error(`Fallback container ${flow.fallbackContainer} not found`);
+    flow.renderLinear(target, flow.blocks);
+    container.setAttribute('data-flow-prerendered', key);
+    return { dom, mode: 'linear', regions: 0 };
+  }
+
+  // Regions the config doesn't size are hidden by page CSS at this viewport
+  const hidden = [];
+  flow.findRegions().forEach((region) => {
+    const size = sizes[region.getAttribute('data-flow-order') || '0'];
+    if (!size) {
+      region.style.display = 'none';
+      hidden.push(region);
+      return;
+    }
+    const [top, right, bottom, left] = size.inset || [0, 0, 0, 0];
+    metrics.set(region, { availableHeight: size.height - top - bottom, innerWidth: size.width - left - right });
+  });
+
+  flow.createSandbox();
+  const layout = flow.reflow();
+  flow.releaseSandbox();
+  flow.sandbox.remove();
+  hidden.forEach((region) => {
+    region.style.removeProperty('display');
+    if (!region.getAttribute('style')) region.removeAttribute('style');
+  });
+  if (!layout) throw new Error(`Nothing was laid out at ${key}`);
+
+  const filled = layout.regions.filter((entry) => entry.element.style.display !== 'none' && metrics.has(entry.element));
+  filled.forEach((entry) => {
+    const size = sizes[entry.order];
+    entry.element.setAttribute('data-flow-size', `${Math.round(size.width)}x${Math.round(size.height)}`);
+  });
+  container.setAttribute('data-flow-prerendered', key);
+  if (layout.overflow && layout.overflow.length) {
+    console.warn(`prerender: ${layout.overflow.length} blocks did not fit at ${key}`);
+  }
+  return { dom, mode: 'flow', regions: filled.length };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const configPath = path.resolve(args.config);
+  const configDir = path.dirname(configPath);
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!config.page) usage('config needs a "page"');
+  if (!config.viewports) usage('config needs "viewports"');
+
+  const pagePath = path.resolve(configDir, config.page);
+  const html = fs.readFileSync(pagePath, 'utf8');
+  const engine = fs.readFileSync(ENGINE, 'utf8');
+  const fonts = loadFonts(config.fonts || {}, configDir);
+
+  // Content defaults to the page's own data-flow-content
+  const contentUrl = /data-flow-content="([^"]+)"/.exec(html);
+  if (!config.content && !contentUrl) usage('config needs "content" (the page has no data-flow-content)');
+  const contentPath = config.content
+    ? path.resolve(configDir, config.content)
+    : path.resolve(path.dirname(pagePath), contentUrl[1]);
+  const source = fs.readFileSync(contentPath, 'utf8');
+  const isMarkdown = /\.(md|markdown)$/i.test(contentPath);
+
+  const outDir = path.resolve(args.out || (config.out ? path.resolve(configDir, config.out) : path.dirname(pagePath)));
+  fs.mkdirSync(outDir, { recursive: true });
+  const base = path.basename(pagePath, '.html');
+
+  const keys = args.viewports.length ? args.viewports : Object.keys(config.viewports);
+  for (const key of keys) {
+    if (!config.viewports[key]) usage(`viewport ${key} is not in the config`);
+    const { dom, mode, regions } = renderViewport({ html, pagePath, engine, source, isMarkdown, config, fonts, key });
+    const file = path.join(outDir, `${base}.${key}.html`);
+    fs.writeFileSync(file, dom.serialize());
+    dom.window.close();
+    console.log(`${path.relative(process.cwd(), file)}: ${mode === 'flow' ? `${regions} regions` : 'linear'}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`prerender: ${err.message}`);
+  process.exit(1);
+});